@@ -1,22 +1,48 @@
 import { useEffect, useRef, useState } from 'react'
 import { useCamera } from '../hooks/useCamera'
-import { GateFlashReceiver, verifyResponse } from '../utils/gateFlashReceiver'
+import { GateFlashReceiver } from '../utils/gateFlashReceiver'
+import { computeResponse, RESPONSE_CONFIG } from '../utils/responseAlgorithm'
 import { sendGateFlash } from '../utils/gateFlashSender'
+import { ChallengeIssuer, CHALLENGE_BYTES, VERIFY_RESULT } from '../utils/challengeIssuer'
+import { TIMING_CONFIG } from '../utils/config'
+import { CHANNEL } from '../utils/flashSequence'
+import { FRAME_ERROR, toHex } from '../utils/framing'
+import { encodeCapabilities, measureCapabilities, negotiateBitDuration, parseCapabilities } from '../utils/rateNegotiation'
 import './GateSimulator.css'
 
+// Status messages for each verification result
+const VERIFY_MESSAGES = {
+  [VERIFY_RESULT.GRANTED]: 'Access Granted ✓',
+  [VERIFY_RESULT.DENIED]: 'Access Denied ✗',
+  [VERIFY_RESULT.EXPIRED]: 'Access Denied ✗ (challenge expired)',
+  [VERIFY_RESULT.SUPERSEDED]: 'Access Denied ✗ (response to an old challenge)',
+  [VERIFY_RESULT.REPLAYED]: 'Access Denied ✗ (challenge already used)'
+}
+
 function GateSimulator() {
-  const { videoRef, isInitialized, error, hasPermission, initializeCamera, stopCamera } = useCamera()
+  const {
+    videoRef, isInitialized, error, hasPermission, initializeCamera, stopCamera,
+    devices, deviceId, selectDevice, settings, lockedControls
+  } = useCamera()
   const canvasRef = useRef(null)
   const receiverRef = useRef(null)
   const flashCancelRef = useRef(null)
+  const awaitingResponseRef = useRef(false)
+  const negotiatingRef = useRef(false)
+  const localCapabilitiesRef = useRef(null)
+  const bitDurationRef = useRef(TIMING_CONFIG.BIT_DURATION)
+  const [issuer] = useState(() => new ChallengeIssuer())
   
   const [isListening, setIsListening] = useState(false)
   const [challenge, setChallenge] = useState(null)
   const [receivedResponse, setReceivedResponse] = useState(null)
+  const [expectedResponse, setExpectedResponse] = useState(null)
+  const [correctedBits, setCorrectedBits] = useState(null)
   const [isSending, setIsSending] = useState(false)
   const [accessResult, setAccessResult] = useState(null)
   const [statusMessage, setStatusMessage] = useState('Ready to test')
   const [brightness, setBrightness] = useState(0)
+  const [bitDuration, setBitDuration] = useState(TIMING_CONFIG.BIT_DURATION)
 
   /**
    * Initialize camera when component mounts
@@ -39,9 +65,15 @@ function GateSimulator() {
    */
   useEffect(() => {
     if (isInitialized && videoRef.current && canvasRef.current) {
+      // Full duplex: only the phone's colour channel, so the gate's own flashes are ignored
       receiverRef.current = new GateFlashReceiver(
         handleResponseReceived,
-        handleReceiveError
+        handleReceiveError,
+        {
+          channel: TIMING_CONFIG.DUPLEX ? TIMING_CONFIG.PHONE_CHANNEL : CHANNEL.WHITE,
+          bitDuration: bitDurationRef.current,
+          frameRate: settings?.frameRate
+        }
       )
     }
 
@@ -50,79 +82,214 @@ function GateSimulator() {
         receiverRef.current.stop()
       }
     }
-  }, [isInitialized, videoRef, canvasRef])
+  }, [isInitialized, videoRef, canvasRef, settings?.frameRate])
 
   /**
-   * Monitor brightness for visual feedback
+   * Show the receiver's latest brightness for visual feedback
+   * Reuses the receiver's samples instead of sampling the camera a second time
    */
   useEffect(() => {
-    if (!isInitialized || !videoRef.current || !canvasRef.current) return
+    if (!isListening) return
 
     const interval = setInterval(() => {
-      if (videoRef.current && canvasRef.current) {
-        const { sampleCenterBrightness } = require('../utils/flashDecoder')
-        const brightnessValue = sampleCenterBrightness(videoRef.current, canvasRef.current)
+      const brightnessValue = receiverRef.current?.lastBrightness
+      if (brightnessValue !== null && brightnessValue !== undefined) {
         setBrightness(Math.round(brightnessValue))
       }
     }, 100)
 
     return () => clearInterval(interval)
-  }, [isInitialized])
+  }, [isListening])
 
   /**
    * Handle successfully received response
-   * @param {number} responseValue - Received response value (0-255)
+   * @param {Uint8Array} responseValue - Received response bytes
+   * @param {Object} info - Decode details ({ corrections } made by FEC)
    */
-  const handleResponseReceived = (responseValue) => {
-    console.log('[GateSimulator] Response received:', responseValue)
+  const handleResponseReceived = async (responseValue, info = {}) => {
+    const receivedAt = performance.now()
+    console.log('[GateSimulator] Response received:', toHex(responseValue))
+
+    // Capability frame answering our negotiation request
+    const remote = negotiatingRef.current ? parseCapabilities(responseValue) : null
+    if (remote) {
+      negotiatingRef.current = false
+      setIsListening(false)
+      applyBitDuration(negotiateBitDuration(localCapabilitiesRef.current, remote))
+      return
+    }
+
     setReceivedResponse(responseValue)
+    setCorrectedBits(info.corrections ?? null)
     setIsListening(false)
+    stopRepeating()
     
-    // Verify response
-    if (challenge !== null) {
-      const isValid = verifyResponse(challenge, responseValue)
-      setAccessResult(isValid ? 'granted' : 'failed')
-      setStatusMessage(isValid ? 'Access Granted ✓' : 'Access Denied ✗')
-      
-      if (isValid) {
-        console.log('[GateSimulator] Response verified successfully!')
-      } else {
-        console.log('[GateSimulator] Response verification failed. Expected:', (challenge + 10) % 256, 'Received:', responseValue)
-      }
-    } else {
-      setStatusMessage(`Response received: ${responseValue}`)
+    // Verify response against the issued challenge (expiry, replay and supersession included)
+    let result
+    try {
+      result = await issuer.verify(responseValue, receivedAt)
+    } catch (err) {
+      handleReceiveError(`Verification failed: ${err.message}`)
+      return
     }
+
+    if (result === VERIFY_RESULT.NO_CHALLENGE) {
+      setStatusMessage(`Response received: ${toHex(responseValue)}`)
+      return
+    }
+
+    setAccessResult(result === VERIFY_RESULT.GRANTED ? 'granted' : 'failed')
+    setStatusMessage(VERIFY_MESSAGES[result])
+    console.log('[GateSimulator] Verification result:', result)
   }
 
   /**
    * Handle receive error
+   * Reception problems are transmission errors, not authentication failures
    * @param {string} errorMessage - Error message
+   * @param {string} errorCode - Optional FRAME_ERROR code
    */
-  const handleReceiveError = (errorMessage) => {
+  const handleReceiveError = (errorMessage, errorCode) => {
     console.error('[GateSimulator] Receive error:', errorMessage)
-    setStatusMessage(`Error: ${errorMessage}`)
+    if (errorCode === FRAME_ERROR.CHECKSUM) {
+      setStatusMessage('Transmission error: checksum failed, frame corrupted in transit')
+    } else {
+      setStatusMessage(`Error: ${errorMessage}`)
+    }
     setIsListening(false)
-    setAccessResult('failed')
+    setAccessResult('error')
+    negotiatingRef.current = false
+    stopRepeating()
+  }
+
+  /**
+   * Switch the gate to a bit duration for the rest of the session
+   * @param {number} duration - Bit duration (ms)
+   */
+  const applyBitDuration = (duration) => {
+    console.log(`[GateSimulator] Bit duration: ${duration}ms`)
+    bitDurationRef.current = duration
+    setBitDuration(duration)
+    if (receiverRef.current) {
+      receiverRef.current.setBitDuration(duration)
+    }
+    setStatusMessage(`Bit rate agreed: ${duration}ms per bit`)
   }
 
   /**
-   * Send a challenge flash
-   * @param {number} challengeValue - Challenge value to send (0-255)
+   * Exchange capability frames with the phone to agree on a faster bit rate
+   * Capabilities are sent at the default BIT_DURATION, which the phone can always read
    */
-  const sendChallenge = (challengeValue) => {
+  const negotiateRate = async () => {
+    if (isSending || !isInitialized || !videoRef.current || !receiverRef.current) return
+
+    setIsSending(true)
+    setAccessResult(null)
+    setStatusMessage('Measuring camera and display rates...')
+
+    // Back to the default rate until the phone has answered (or if measuring fails)
+    bitDurationRef.current = TIMING_CONFIG.BIT_DURATION
+    setBitDuration(TIMING_CONFIG.BIT_DURATION)
+    receiverRef.current.setBitDuration(TIMING_CONFIG.BIT_DURATION)
+
+    let local
+    try {
+      local = await measureCapabilities(videoRef.current)
+    } catch (err) {
+      console.error('[GateSimulator] Rate measurement failed:', err)
+      setStatusMessage(`Rate measurement failed: ${err.message}. Staying at ${TIMING_CONFIG.BIT_DURATION}ms per bit`)
+      setAccessResult('error')
+      setIsSending(false)
+      return
+    }
+    localCapabilitiesRef.current = local
+    negotiatingRef.current = true
+
+    if (TIMING_CONFIG.DUPLEX && !startListening()) {
+      negotiatingRef.current = false
+      setIsSending(false)
+      return
+    }
+    setStatusMessage(`Sending capabilities: ${local.sampleRate} samples/s, ${local.refreshRate} Hz`)
+
+    flashCancelRef.current = sendGateFlash(
+      encodeCapabilities(local),
+      () => {
+        console.log('[GateSimulator] Capabilities sent')
+        flashCancelRef.current = null
+        setIsSending(false)
+        if (!TIMING_CONFIG.DUPLEX) {
+          startListening()
+        }
+        setStatusMessage('Capabilities sent. Waiting for the phone...')
+      },
+      (progress) => {
+        console.log('[GateSimulator] Sending progress:', progress)
+      },
+      { channel: TIMING_CONFIG.DUPLEX ? TIMING_CONFIG.GATE_CHANNEL : CHANNEL.WHITE }
+    )
+  }
+
+  /**
+   * Stop repeating the challenge (full duplex)
+   * The phone's response doubles as the acknowledgement that ends the repetition
+   */
+  const stopRepeating = () => {
+    if (!awaitingResponseRef.current) return
+    awaitingResponseRef.current = false
+    if (flashCancelRef.current) {
+      flashCancelRef.current()
+      flashCancelRef.current = null
+    }
+    setIsSending(false)
+  }
+
+  /**
+   * Issue and send a challenge flash
+   * @param {Uint8Array} pattern - Optional fixed test pattern (may be sent repeatedly); random if omitted
+   */
+  const sendChallenge = (pattern) => {
     if (isSending) return
 
+    let challengeValue
+    try {
+      challengeValue = (pattern ? issuer.issueTestPattern(pattern) : issuer.issue()).value
+    } catch (err) {
+      setStatusMessage(`Error: ${err.message}`)
+      return
+    }
+
     setChallenge(challengeValue)
     setReceivedResponse(null)
+    setExpectedResponse(null)
+    setCorrectedBits(null)
     setAccessResult(null)
     setIsSending(true)
-    setStatusMessage(`Sending challenge: ${challengeValue}`)
+    setStatusMessage(`Sending challenge: ${toHex(challengeValue)}`)
+
+    // Compute expected response for display (verification recomputes it)
+    computeResponse(challengeValue)
+      .then(setExpectedResponse)
+      .catch((err) => console.error('[GateSimulator] Failed to compute expected response:', err))
+
+    if (TIMING_CONFIG.DUPLEX) {
+      // Full duplex: listen for the phone while the challenge is still being sent
+      if (!startListening()) {
+        setIsSending(false)
+        return
+      }
+      awaitingResponseRef.current = true
+      setStatusMessage(`Sending challenge ${toHex(challengeValue)} and listening for the response...`)
+      transmitChallenge(challengeValue)
+      return
+    }
 
     flashCancelRef.current = sendGateFlash(
       challengeValue,
       () => {
-        // Transmission complete
+        // Transmission complete: the phone's time to answer starts now
         console.log('[GateSimulator] Challenge sent successfully')
+        issuer.markSent(performance.now(), bitDurationRef.current)
         setIsSending(false)
         setStatusMessage('Challenge sent. Waiting for response...')
         
@@ -131,29 +298,69 @@ function GateSimulator() {
       },
       (progress) => {
         console.log('[GateSimulator] Sending progress:', progress)
-      }
+      },
+      { bitDuration: bitDurationRef.current }
+    )
+  }
+
+  /**
+   * Send the challenge on the gate's colour channel, again and again until
+   * the response arrives or the challenge expires (full duplex)
+   * The validity window opens when the first transmission ends
+   * @param {Uint8Array} challengeValue - Challenge bytes
+   */
+  const transmitChallenge = (challengeValue) => {
+    flashCancelRef.current = sendGateFlash(
+      challengeValue,
+      () => {
+        if (!awaitingResponseRef.current) return
+
+        issuer.markSent(performance.now(), bitDurationRef.current)
+        if (issuer.isExpired()) {
+          console.log('[GateSimulator] No response before the challenge expired')
+          awaitingResponseRef.current = false
+          flashCancelRef.current = null
+          if (receiverRef.current) {
+            receiverRef.current.stop()
+          }
+          setIsSending(false)
+          setIsListening(false)
+          setStatusMessage('No response before the challenge expired')
+          return
+        }
+
+        console.log('[GateSimulator] No response yet, repeating challenge')
+        transmitChallenge(challengeValue)
+      },
+      (progress) => {
+        console.log('[GateSimulator] Sending progress:', progress)
+      },
+      { channel: TIMING_CONFIG.GATE_CHANNEL, bitDuration: bitDurationRef.current }
     )
   }
 
   /**
    * Start listening for phone's response
+   * @returns {boolean} false if the camera is not ready
    */
   const startListening = () => {
     if (!isInitialized || !videoRef.current || !canvasRef.current || !receiverRef.current) {
       setStatusMessage('Camera not ready')
-      return
+      return false
     }
 
     setIsListening(true)
     setStatusMessage('Listening for phone response...')
     receiverRef.current.reset()
     receiverRef.current.start(videoRef.current, canvasRef.current)
+    return true
   }
 
   /**
    * Stop listening
    */
   const stopListening = () => {
+    stopRepeating()
     if (receiverRef.current) {
       receiverRef.current.stop()
     }
@@ -165,6 +372,8 @@ function GateSimulator() {
    * Reset everything
    */
   const reset = () => {
+    awaitingResponseRef.current = false
+    negotiatingRef.current = false
     if (flashCancelRef.current) {
       flashCancelRef.current()
       flashCancelRef.current = null
@@ -172,8 +381,11 @@ function GateSimulator() {
     if (receiverRef.current) {
       receiverRef.current.reset()
     }
+    issuer.reset()
     setChallenge(null)
     setReceivedResponse(null)
+    setExpectedResponse(null)
+    setCorrectedBits(null)
     setAccessResult(null)
     setIsSending(false)
     setIsListening(false)
@@ -187,10 +399,14 @@ function GateSimulator() {
     initializeCamera()
   }
 
-  // Generate random challenge
+  // Send a cryptographically random challenge
   const sendRandomChallenge = () => {
-    const randomChallenge = Math.floor(Math.random() * 256)
-    sendChallenge(randomChallenge)
+    sendChallenge()
+  }
+
+  // Send a fixed test pattern (every challenge byte set to the same value)
+  const sendPatternChallenge = (byte) => {
+    sendChallenge(new Uint8Array(CHALLENGE_BYTES).fill(byte))
   }
 
   return (
@@ -218,8 +434,8 @@ function GateSimulator() {
         <div className="gate-status-section">
           <div className="status-message">{statusMessage}</div>
           
-          {/* Brightness indicator */}
-          {isInitialized && (
+          {/* Brightness indicator (while listening) */}
+          {isInitialized && isListening && (
             <div className="brightness-indicator">
               <div className="brightness-label">Camera Brightness:</div>
               <div className="brightness-value">{brightness}</div>
@@ -235,27 +451,50 @@ function GateSimulator() {
           {challenge !== null && (
             <div className="info-item">
               <span className="info-label">Challenge Sent:</span>
-              <span className="info-value">{challenge}</span>
+              <span className="info-value">{toHex(challenge)}</span>
             </div>
           )}
           
           {receivedResponse !== null && (
             <div className="info-item">
               <span className="info-label">Response Received:</span>
-              <span className="info-value">{receivedResponse}</span>
+              <span className="info-value">{toHex(receivedResponse)}</span>
             </div>
           )}
 
-          {challenge !== null && receivedResponse !== null && (
+          {expectedResponse !== null && receivedResponse !== null && (
             <div className="info-item">
               <span className="info-label">Expected Response:</span>
-              <span className="info-value">{(challenge + 10) % 256}</span>
+              <span className="info-value">{toHex(expectedResponse)}</span>
+            </div>
+          )}
+
+          {RESPONSE_CONFIG.ALGORITHM === 'demo' && (
+            <div className="info-item">
+              <span className="info-label">Response Algorithm:</span>
+              <span className="info-value">demo (no shared secret set)</span>
+            </div>
+          )}
+
+          {bitDuration !== TIMING_CONFIG.BIT_DURATION && (
+            <div className="info-item">
+              <span className="info-label">Bit Duration:</span>
+              <span className="info-value">{bitDuration}ms</span>
+            </div>
+          )}
+
+          {correctedBits > 0 && (
+            <div className="info-item">
+              <span className="info-label">Bits Corrected:</span>
+              <span className="info-value">{correctedBits}</span>
             </div>
           )}
           
           {accessResult && (
             <div className={`access-result ${accessResult}`}>
-              {accessResult === 'granted' ? '✓ Access Granted' : '✗ Access Denied'}
+              {accessResult === 'granted' && '✓ Access Granted'}
+              {accessResult === 'failed' && '✗ Access Denied'}
+              {accessResult === 'error' && '⚠ Transmission Error'}
             </div>
           )}
         </div>
@@ -281,6 +520,28 @@ function GateSimulator() {
               <span>Camera Ready</span>
             </div>
           )}
+
+          {isInitialized && settings && (
+            <div className="camera-settings">
+              {settings.width}×{settings.height}
+              {settings.frameRate ? ` @ ${Math.round(settings.frameRate)} fps` : ''}
+              {' · '}
+              {lockedControls.length > 0 ? `locked: ${lockedControls.join(', ')}` : 'automatic exposure and focus'}
+            </div>
+          )}
+
+          {devices.length > 1 && (
+            <select
+              className="camera-select"
+              value={deviceId ?? ''}
+              onChange={(e) => selectDevice(e.target.value)}
+              disabled={isSending || isListening}
+            >
+              {devices.map((device) => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+              ))}
+            </select>
+          )}
         </div>
 
         {/* Controls */}
@@ -289,25 +550,25 @@ function GateSimulator() {
             <h3>Send Challenge</h3>
             <div className="button-group">
               <button 
-                onClick={() => sendChallenge(0)} 
+                onClick={() => sendPatternChallenge(0x00)} 
                 className="challenge-button"
                 disabled={isSending || isListening}
               >
-                Send 0
+                Send 00…
               </button>
               <button 
-                onClick={() => sendChallenge(128)} 
+                onClick={() => sendPatternChallenge(0x80)} 
                 className="challenge-button"
                 disabled={isSending || isListening}
               >
-                Send 128
+                Send 80…
               </button>
               <button 
-                onClick={() => sendChallenge(255)} 
+                onClick={() => sendPatternChallenge(0xff)} 
                 className="challenge-button"
                 disabled={isSending || isListening}
               >
-                Send 255
+                Send ff…
               </button>
               <button 
                 onClick={sendRandomChallenge} 
@@ -319,6 +580,19 @@ function GateSimulator() {
             </div>
           </div>
 
+          <div className="control-group">
+            <h3>Bit Rate</h3>
+            <div className="button-group">
+              <button 
+                onClick={negotiateRate} 
+                className="challenge-button"
+                disabled={!isInitialized || isSending || isListening}
+              >
+                Negotiate Rate
+              </button>
+            </div>
+          </div>
+
           <div className="control-group">
             <h3>Receive Response</h3>
             <div className="button-group">
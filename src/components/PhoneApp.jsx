@@ -1,7 +1,14 @@
 import { useEffect, useRef, useState } from 'react'
 import { useCamera } from '../hooks/useCamera'
-import { FlashDecoder, TIMING_CONFIG } from '../utils/flashDecoder'
+import { TIMING_CONFIG } from '../utils/config'
+import { FlashDecoder } from '../utils/flashDecoder'
+import { CHANNEL } from '../utils/flashSequence'
 import { flashScreenRAF } from '../utils/screenFlasher'
+import { flashTorch, hasTorch } from '../utils/torchFlasher'
+import { SelfInterferenceCanceller } from '../utils/selfInterference'
+import { computeResponse, RESPONSE_CONFIG } from '../utils/responseAlgorithm'
+import { FRAME_ERROR, toHex } from '../utils/framing'
+import { encodeCapabilities, measureCapabilities, negotiateBitDuration, parseCapabilities } from '../utils/rateNegotiation'
 import './PhoneApp.css'
 
 // Protocol states
@@ -24,12 +31,38 @@ const STATUS_MESSAGES = {
   [STATES.DONE]: 'Access granted'
 }
 
+// Aiming guide refresh interval (ms)
+const SIGNAL_POLL_INTERVAL = 100
+
+/**
+ * Aiming hint for the preview when the gate cannot be detected
+ * @param {Object} signal - Signal info from FlashDecoder.getSignalInfo()
+ * @returns {string|null} Hint text, null when the contrast is sufficient
+ */
+function getAimingHint(signal) {
+  if (!signal || signal.baseline === null || signal.contrast >= signal.startThreshold) {
+    return null
+  }
+  // A clipped ROI cannot get any brighter when the gate light comes on
+  return signal.saturated ? 'Too bright - tilt away from lights' : 'Aim closer to the gate light'
+}
+
 function App() {
-  const { videoRef, isInitialized, error, hasPermission, initializeCamera, stopCamera } = useCamera()
+  const {
+    videoRef, isInitialized, error, hasPermission, initializeCamera, stopCamera, getTrack,
+    devices, deviceId, selectDevice, facingMode, selectFacingMode, settings
+  } = useCamera({ facingMode: TIMING_CONFIG.FRONT_CAMERA || TIMING_CONFIG.DUPLEX ? 'user' : 'environment' })
   const canvasRef = useRef(null)
   const decoderRef = useRef(null)
   const flashCancelRef = useRef(null)
   const countdownIntervalRef = useRef(null)
+  const bitDurationRef = useRef(TIMING_CONFIG.BIT_DURATION)
+  const pendingBitDurationRef = useRef(null)
+  const resetTimeoutRef = useRef(null)
+  const frontCameraRef = useRef(false)
+  const cancellerRef = useRef(null)
+  const transmittingRef = useRef(false)
+  const answeringRef = useRef(null) // hex of the frame being answered
   
   const [state, setState] = useState(STATES.IDLE)
   const [statusMessage, setStatusMessage] = useState(STATUS_MESSAGES[STATES.IDLE])
@@ -38,6 +71,12 @@ function App() {
   const [accessResult, setAccessResult] = useState(null)
   const [countdown, setCountdown] = useState(null)
   const [instructionMessage, setInstructionMessage] = useState(null)
+  const [showPreview, setShowPreview] = useState(false)
+  const [signal, setSignal] = useState(null)
+  const [bitDuration, setBitDuration] = useState(TIMING_CONFIG.BIT_DURATION)
+
+  // Front camera: the screen faces the gate while receiving and while transmitting
+  const frontCamera = facingMode === 'user'
 
   /**
    * Initialize camera when component mounts
@@ -53,18 +92,37 @@ function App() {
         clearInterval(countdownIntervalRef.current)
         countdownIntervalRef.current = null
       }
+      clearTimeout(resetTimeoutRef.current)
     }
   }, []) // eslint-disable-line react-hooks/exhaustive-deps
 
+  /**
+   * Keep the camera orientation readable from the decoder and flasher callbacks
+   */
+  useEffect(() => {
+    frontCameraRef.current = frontCamera
+  }, [frontCamera])
+
   /**
    * Initialize decoder when camera is ready
    */
   useEffect(() => {
     if (isInitialized && videoRef.current && canvasRef.current) {
-      // Create decoder instance
+      // Front camera: the decoder also runs while our own screen flashes the response
+      if (!cancellerRef.current) {
+        cancellerRef.current = new SelfInterferenceCanceller()
+      }
+
+      // Create decoder instance (full duplex: only the gate's colour channel)
       decoderRef.current = new FlashDecoder(
         handleChallengeDecoded,
-        handleDecodeError
+        handleDecodeError,
+        {
+          channel: TIMING_CONFIG.DUPLEX ? TIMING_CONFIG.GATE_CHANNEL : CHANNEL.WHITE,
+          bitDuration: bitDurationRef.current,
+          frameRate: settings?.frameRate,
+          selfInterference: frontCameraRef.current ? cancellerRef.current : null
+        }
       )
       
       // Start listening for gate signal
@@ -78,31 +136,118 @@ function App() {
         decoderRef.current.stop()
       }
     }
-  }, [isInitialized, videoRef, canvasRef])
+  }, [isInitialized, videoRef, canvasRef, settings?.frameRate])
+
+  /**
+   * Poll the decoder's signal strength while the preview is shown
+   */
+  useEffect(() => {
+    if (!showPreview) {
+      setSignal(null)
+      return
+    }
+
+    const intervalId = setInterval(() => {
+      if (decoderRef.current) {
+        setSignal(decoderRef.current.getSignalInfo())
+      }
+    }, SIGNAL_POLL_INTERVAL)
+
+    return () => clearInterval(intervalId)
+  }, [showPreview])
 
   /**
    * Handle successfully decoded challenge
-   * @param {number} challengeValue - Decoded challenge value (0-255)
+   * @param {Uint8Array} challengeValue - Decoded challenge bytes
+   * @param {Object} info - Decode details ({ corrections } made by FEC)
    */
-  const handleChallengeDecoded = (challengeValue) => {
-    console.log('[App] Challenge decoded:', challengeValue)
+  const handleChallengeDecoded = async (challengeValue, info = {}) => {
+    console.log('[App] Challenge decoded:', toHex(challengeValue))
+    if (info.corrections > 0) {
+      console.log('[App] FEC corrected bits:', info.corrections)
+    }
+
+    if (transmittingRef.current && toHex(challengeValue) === answeringRef.current) {
+      // Front camera in full duplex: the gate repeats the challenge until our response arrives
+      console.log('[App] Challenge repeated while responding, still sending')
+      restartDecoder()
+      return
+    }
+    // Front camera: a new frame during the response or the reset delay is answered instead
+    stopTransmission()
+    clearTimeout(resetTimeoutRef.current)
+    answeringRef.current = toHex(challengeValue)
+
+    const remote = parseCapabilities(challengeValue)
+    if (remote) {
+      handleCapabilities(remote)
+      return
+    }
+
     setChallenge(challengeValue)
     setState(STATES.COMPUTE)
     setStatusMessage('Challenge received!')
     setInstructionMessage('Preparing to send response...')
     
-    // Compute response: (challenge + 10) % 256
-    const responseValue = (challengeValue + 10) % 256
+    // Compute response using the shared response algorithm
+    let responseValue
+    try {
+      responseValue = await computeResponse(challengeValue)
+    } catch (err) {
+      handleDecodeError(`Failed to compute response: ${err.message}`)
+      return
+    }
     setResponse(responseValue)
-    console.log('[App] Computed response:', responseValue)
+    console.log('[App] Computed response:', toHex(responseValue))
+
+    scheduleResponse(responseValue)
+  }
+
+  /**
+   * Answer the gate's capability frame with our own
+   * The agreed bit duration takes effect once our capabilities have been sent,
+   * as the gate is still listening at the default rate until it has read them
+   * @param {Object} remote - The gate's { sampleRate, refreshRate }
+   */
+  const handleCapabilities = async (remote) => {
+    console.log(`[App] Gate capabilities: ${remote.sampleRate} samples/s, ${remote.refreshRate} Hz`)
+    setState(STATES.COMPUTE)
+    setStatusMessage('Rate negotiation requested')
+    setInstructionMessage('Measuring camera and display rates...')
+
+    let local
+    try {
+      local = await measureCapabilities(videoRef.current)
+    } catch (err) {
+      // Stays at (or falls back to) BIT_DURATION; the gate times out and can renegotiate
+      handleDecodeError(`Rate measurement failed: ${err.message}`)
+      return
+    }
+    pendingBitDurationRef.current = negotiateBitDuration(local, remote)
+    scheduleResponse(encodeCapabilities(local))
+  }
+
+  /**
+   * Send a response once the user has had time to point the screen at the gate
+   * @param {Uint8Array} responseValue - Response bytes to send
+   */
+  const scheduleResponse = (responseValue) => {
+    if (isFullDuplex()) {
+      // Full duplex: the gate keeps listening on our channel and the screen already faces it, no need to wait
+      transmitResponse(responseValue)
+      return
+    }
     
-    // Start countdown before transmitting
+    // Start countdown before transmitting (the gate needs time to start listening even with the torch)
     const delayMs = TIMING_CONFIG.RESPONSE_DELAY
     const countdownInterval = 100 // Update every 100ms for smooth countdown
     let remainingTime = delayMs
+    const aim = frontCameraRef.current
+      ? 'Keep the screen facing the gate.'
+      : canUseTorch() ? 'Keep the camera pointed at the gate.' : 'Please point your phone screen at the gate.'
     
     setCountdown(Math.ceil(remainingTime / 1000))
-    setInstructionMessage(`Please point your phone screen at the gate. Response will be sent in ${Math.ceil(remainingTime / 1000)} seconds...`)
+    setInstructionMessage(`${aim} Response will be sent in ${Math.ceil(remainingTime / 1000)} seconds...`)
     
     countdownIntervalRef.current = setInterval(() => {
       remainingTime -= countdownInterval
@@ -110,9 +255,9 @@ function App() {
       setCountdown(secondsRemaining)
       
       if (secondsRemaining > 0) {
-        setInstructionMessage(`Please point your phone screen at the gate. Response will be sent in ${secondsRemaining} second${secondsRemaining !== 1 ? 's' : ''}...`)
+        setInstructionMessage(`${aim} Response will be sent in ${secondsRemaining} second${secondsRemaining !== 1 ? 's' : ''}...`)
       } else {
-        setInstructionMessage('Sending response now! Keep screen pointed at gate.')
+        setInstructionMessage(`Sending response now! ${aim}`)
       }
       
       if (remainingTime <= 0) {
@@ -129,71 +274,170 @@ function App() {
   /**
    * Handle decode error
    * @param {string} errorMessage - Error message
+   * @param {string} errorCode - Optional FRAME_ERROR code
    */
-  const handleDecodeError = (errorMessage) => {
+  const handleDecodeError = (errorMessage, errorCode) => {
     console.error('[App] Decode error:', errorMessage)
-    setStatusMessage(`Error: ${errorMessage}`)
-    setAccessResult('failed')
+
+    if (transmittingRef.current) {
+      // Front camera: most likely our own flashes that were not fully cancelled, keep sending
+      restartDecoder()
+      return
+    }
+
+    // The gate may have lost the negotiated rate: fall back so it can renegotiate
+    if (bitDurationRef.current !== TIMING_CONFIG.BIT_DURATION) {
+      applyBitDuration(TIMING_CONFIG.BIT_DURATION)
+    }
+    if (errorCode === FRAME_ERROR.CHECKSUM) {
+      setStatusMessage('Transmission error: challenge corrupted, waiting for the gate to resend')
+      setAccessResult('error')
+    } else {
+      setStatusMessage(`Error: ${errorMessage}`)
+      setAccessResult('failed')
+    }
     
     // Reset after delay
-    setTimeout(() => {
+    resetTimeoutRef.current = setTimeout(() => {
       reset()
     }, 3000)
   }
 
   /**
-   * Transmit response by flashing screen
-   * @param {number} responseValue - Response value to send (0-255)
+   * Switch the decoder and the response flashes to a bit duration
+   * @param {number} duration - Bit duration (ms)
+   */
+  const applyBitDuration = (duration) => {
+    console.log(`[App] Bit duration: ${duration}ms`)
+    bitDurationRef.current = duration
+    setBitDuration(duration)
+    if (decoderRef.current) {
+      decoderRef.current.setBitDuration(duration)
+    }
+  }
+
+  /**
+   * Whether the response is flashed while the gate is still being received
+   * Only with the front camera: with the back camera the screen faces away
+   * from the gate while receiving, so the phone answers after the countdown
+   * (still on PHONE_CHANNEL, which the gate listens on)
+   * @returns {boolean} true in DUPLEX mode with the front camera
+   */
+  const isFullDuplex = () => TIMING_CONFIG.DUPLEX && frontCameraRef.current
+
+  /**
+   * Whether responses go out on the rear torch instead of the screen
+   * Full duplex needs colour channels, which the torch cannot send, and the
+   * front camera keeps the screen (not the rear torch) facing the gate
+   * @returns {boolean} true if the camera track has a torch
+   */
+  const canUseTorch = () => !TIMING_CONFIG.DUPLEX && !frontCameraRef.current && hasTorch(getTrack())
+
+  /**
+   * Transmit response by flashing the torch, or the screen without one
+   * @param {Uint8Array} responseValue - Response bytes to send
    */
   const transmitResponse = (responseValue) => {
     setState(STATES.TRANSMIT)
     setStatusMessage('Sending response...')
-    setInstructionMessage('Screen will flash now. Keep phone steady and pointed at gate!')
     setCountdown(null)
+
+    const torch = canUseTorch()
+    const front = frontCameraRef.current
+    const transmit = torch
+      ? (...args) => flashTorch(getTrack(), ...args)
+      : flashScreenRAF
+    setInstructionMessage(torch
+      ? 'Torch will flash now. Keep the camera pointed at the gate!'
+      : `Screen will flash now. ${front ? 'Keep the screen facing the gate!' : 'Keep phone steady and pointed at gate!'}`)
+
+    // Front camera: keep listening for the gate while our flashes are cancelled out of the samples
+    if (front) {
+      cancellerRef.current.reset()
+      restartDecoder()
+    }
+    transmittingRef.current = true
     
-    // Flash screen with response
-    flashCancelRef.current = flashScreenRAF(
+    // Flash torch or screen with response (full duplex: on the phone's colour channel)
+    flashCancelRef.current = transmit(
       responseValue,
       () => {
         // Transmission complete
         console.log('[App] Response transmitted successfully')
+        transmittingRef.current = false
+        flashCancelRef.current = null
         setState(STATES.DONE)
-        setStatusMessage('Response sent successfully!')
-        setInstructionMessage('Waiting for gate to verify...')
-        setAccessResult('granted')
+        if (pendingBitDurationRef.current !== null) {
+          // Capabilities sent: both sides switch to the agreed rate now
+          setStatusMessage(`Bit rate agreed: ${pendingBitDurationRef.current}ms per bit`)
+          setInstructionMessage(null)
+          applyBitDuration(pendingBitDurationRef.current)
+          pendingBitDurationRef.current = null
+        } else {
+          setStatusMessage('Response sent successfully!')
+          setInstructionMessage('Waiting for gate to verify...')
+          setAccessResult('granted')
+        }
         
-        // Reset after delay to wait for new challenge
-        setTimeout(() => {
-          reset()
+        // Reset after delay to wait for new challenge (front camera: the decoder is already listening)
+        resetTimeoutRef.current = setTimeout(() => {
+          reset(!front)
         }, 3000)
       },
       (progress) => {
         // Optional: update progress during transmission
         console.log('[App] Transmission progress:', progress)
+      },
+      {
+        channel: TIMING_CONFIG.DUPLEX ? TIMING_CONFIG.PHONE_CHANNEL : CHANNEL.WHITE,
+        bitDuration: bitDurationRef.current,
+        onEmit: front ? (step, time) => cancellerRef.current.emit(step, time) : undefined
       }
     )
   }
 
   /**
-   * Reset to initial state and wait for new challenge
+   * Cancel the response being flashed, if any
    */
-  const reset = () => {
-    console.log('[App] Resetting...')
-    
-    // Cancel any ongoing flash
+  const stopTransmission = () => {
     if (flashCancelRef.current) {
       flashCancelRef.current()
       flashCancelRef.current = null
     }
+    transmittingRef.current = false
+  }
+
+  /**
+   * Start listening for the next frame from scratch
+   */
+  const restartDecoder = () => {
+    if (decoderRef.current && videoRef.current && canvasRef.current) {
+      decoderRef.current.reset()
+      decoderRef.current.start(videoRef.current, canvasRef.current)
+    }
+  }
+
+  /**
+   * Reset to initial state and wait for new challenge
+   * @param {boolean} restart - Restart the decoder (false leaves a decoder that is already listening alone)
+   */
+  const reset = (restart = true) => {
+    console.log('[App] Resetting...')
+    
+    // Cancel any ongoing flash
+    stopTransmission()
+    clearTimeout(resetTimeoutRef.current)
+    answeringRef.current = null
     
     // Clear countdown interval
     if (countdownIntervalRef.current) {
       clearInterval(countdownIntervalRef.current)
       countdownIntervalRef.current = null
     }
+    pendingBitDurationRef.current = null
     
     // Reset decoder
-    if (decoderRef.current) {
+    if (restart && decoderRef.current) {
       decoderRef.current.reset()
     }
     
@@ -207,7 +451,7 @@ function App() {
     setInstructionMessage(null)
     
     // Restart decoder if camera is ready
-    if (isInitialized && videoRef.current && canvasRef.current && decoderRef.current) {
+    if (restart && isInitialized && videoRef.current && canvasRef.current && decoderRef.current) {
       decoderRef.current.start(videoRef.current, canvasRef.current)
     }
   }
@@ -219,6 +463,21 @@ function App() {
     reset()
   }
 
+  /**
+   * Toggle the camera preview with aiming guide
+   */
+  const handleTogglePreview = () => {
+    setShowPreview((shown) => !shown)
+  }
+
+  /**
+   * Switch between the back camera and the front camera
+   */
+  const handleToggleFacingMode = () => {
+    reset()
+    selectFacingMode(frontCamera ? 'environment' : 'user')
+  }
+
   /**
    * Handle retry camera initialization
    */
@@ -226,17 +485,16 @@ function App() {
     initializeCamera()
   }
 
+  // The preview is hidden while the screen flashes the response
+  const previewVisible = showPreview && isInitialized && state !== STATES.TRANSMIT
+  const aimingHint = getAimingHint(signal)
+  // Gauge: the detection threshold sits at the middle of the bar
+  const signalStrength = signal && signal.baseline !== null
+    ? Math.min(100, Math.max(0, (50 * signal.contrast) / signal.startThreshold))
+    : 0
+
   return (
     <div className="app">
-      {/* Hidden video element for camera feed */}
-      <video
-        ref={videoRef}
-        autoPlay
-        playsInline
-        muted
-        className="video-feed"
-      />
-      
       {/* Hidden canvas for frame sampling */}
       <canvas ref={canvasRef} className="hidden-canvas" />
 
@@ -245,6 +503,42 @@ function App() {
         {/* Status Section */}
         <div className="status-section">
           <div className="status-message">{statusMessage}</div>
+
+          {/* Camera feed: hidden unless the preview is enabled */}
+          <div className={`camera-preview ${previewVisible ? 'visible' : ''}`}>
+            <video
+              ref={videoRef}
+              autoPlay
+              playsInline
+              muted
+              className="video-feed"
+            />
+            {previewVisible && signal && (
+              <div
+                className="preview-roi"
+                style={{
+                  left: `${signal.roi.x * 100}%`,
+                  top: `${signal.roi.y * 100}%`,
+                  width: `${signal.roi.width * 100}%`,
+                  height: `${signal.roi.height * 100}%`
+                }}
+              />
+            )}
+            {previewVisible && <div className="preview-crosshair" />}
+            {previewVisible && aimingHint && (
+              <div className="preview-hint">{aimingHint}</div>
+            )}
+          </div>
+
+          {previewVisible && (
+            <div className="signal-gauge">
+              <div
+                className={`signal-gauge-fill ${signalStrength >= 50 ? 'strong' : ''}`}
+                style={{ width: `${signalStrength}%` }}
+              />
+              <div className="signal-gauge-threshold" />
+            </div>
+          )}
           
           {/* Countdown Timer */}
           {countdown !== null && countdown > 0 && (
@@ -265,20 +559,36 @@ function App() {
           {challenge !== null && (
             <div className="info-item">
               <span className="info-label">Challenge:</span>
-              <span className="info-value">{challenge}</span>
+              <span className="info-value">{toHex(challenge)}</span>
             </div>
           )}
           
           {response !== null && (
             <div className="info-item">
               <span className="info-label">Response:</span>
-              <span className="info-value">{response}</span>
+              <span className="info-value">{toHex(response)}</span>
+            </div>
+          )}
+          
+          {RESPONSE_CONFIG.ALGORITHM === 'demo' && (
+            <div className="info-item">
+              <span className="info-label">Response Algorithm:</span>
+              <span className="info-value">demo (no shared secret set)</span>
+            </div>
+          )}
+
+          {bitDuration !== TIMING_CONFIG.BIT_DURATION && (
+            <div className="info-item">
+              <span className="info-label">Bit Duration:</span>
+              <span className="info-value">{bitDuration}ms</span>
             </div>
           )}
           
           {accessResult && (
             <div className={`access-result ${accessResult}`}>
-              {accessResult === 'granted' ? '✓ Access Granted' : '✗ Access Failed'}
+              {accessResult === 'granted' && '✓ Access Granted'}
+              {accessResult === 'failed' && '✗ Access Failed'}
+              {accessResult === 'error' && '⚠ Transmission Error'}
             </div>
           )}
         </div>
@@ -311,15 +621,33 @@ function App() {
           <button onClick={handleReset} className="reset-button" disabled={state === STATES.IDLE}>
             Reset
           </button>
+          <button onClick={handleTogglePreview} className="preview-button" disabled={!isInitialized}>
+            {showPreview ? 'Hide Camera' : 'Show Camera'}
+          </button>
+          <button onClick={handleToggleFacingMode} className="facing-button" disabled={!isInitialized || state === STATES.TRANSMIT}>
+            {frontCamera ? 'Back Camera' : 'Front Camera'}
+          </button>
+          {devices.length > 1 && (
+            <select
+              className="camera-select"
+              value={deviceId ?? ''}
+              onChange={(e) => selectDevice(e.target.value)}
+              disabled={state === STATES.TRANSMIT}
+            >
+              {devices.map((device) => (
+                <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+              ))}
+            </select>
+          )}
         </div>
 
         {/* Instructions */}
         <div className="instructions">
           <h3>Instructions:</h3>
           <ol>
-            <li>Point your phone's back camera at the gate device</li>
+            <li>Point your phone's back camera at the gate device (with the front camera, the screen faces the gate the whole time)</li>
             <li>Wait for the gate to send a challenge signal</li>
-            <li>The app will automatically respond</li>
+            <li>The app will automatically respond, with the rear torch if the phone has one, otherwise by flashing the screen</li>
             <li>Access will be granted if the response is correct</li>
           </ol>
         </div>
@@ -1,20 +1,42 @@
 import { useEffect, useRef, useState } from 'react'
 
+// Automatic controls that can be locked: the mode constraint and the setting holding its current value
+const LOCKABLE_CONTROLS = [
+  { mode: 'exposureMode', value: 'exposureTime', name: 'exposure' },
+  { mode: 'whiteBalanceMode', value: 'colorTemperature', name: 'white balance' },
+  { mode: 'focusMode', value: 'focusDistance', name: 'focus' },
+]
+
+// Time auto-exposure, white balance and focus get to settle before they are locked (ms)
+const CONTROL_SETTLE_TIME = 1000
+
 /**
  * Custom hook for accessing the device's camera.
- * Uses getUserMedia with configurable facingMode (defaults to back camera).
+ * Uses getUserMedia with configurable facingMode (defaults to back camera,
+ * see selectFacingMode), or a specific device picked from the enumerated cameras.
+ *
+ * Continuous autofocus hunting and auto-exposure change the brightness of
+ * the emitter while it is being read, so once the camera has settled the
+ * hook locks exposure, white balance and focus where the track supports it
+ * (getCapabilities / applyConstraints).
  *
  * @param {Object} options - Camera options
  * @param {'user'|'environment'} options.facingMode - Preferred camera
+ * @param {string} options.deviceId - Camera to open instead of facingMode
  * @param {number} options.width - Preferred width
  * @param {number} options.height - Preferred height
+ * @param {number} options.frameRate - Preferred frame rate (fps)
+ * @param {boolean} options.lockControls - Lock exposure, white balance and focus once settled
  * @returns {Object} Camera state and controls
  */
 export function useCamera(options = {}) {
   const {
-    facingMode = 'environment',
+    facingMode: initialFacingMode = 'environment',
+    deviceId: initialDeviceId = null,
     width = 1280,
     height = 720,
+    frameRate = 30,
+    lockControls = true,
   } = options
 
   const videoRef = useRef(null)
@@ -22,20 +44,123 @@ export function useCamera(options = {}) {
   const [isInitialized, setIsInitialized] = useState(false)
   const [error, setError] = useState(null)
   const [hasPermission, setHasPermission] = useState(false)
+  const [devices, setDevices] = useState([])
+  const [deviceId, setDeviceId] = useState(initialDeviceId)
+  const [facingMode, setFacingMode] = useState(initialFacingMode)
+  const [settings, setSettings] = useState(null)
+  const [capabilities, setCapabilities] = useState(null)
+  const [lockedControls, setLockedControls] = useState([])
+
+  /**
+   * Current video track
+   * @returns {MediaStreamTrack|null} Video track, null without a stream
+   */
+  const getTrack = () => streamRef.current?.getVideoTracks()[0] ?? null
+
+  /**
+   * Read the track's current settings (resolution, frame rate, device...)
+   * @returns {Object|null} MediaTrackSettings, null without a stream
+   */
+  const refreshSettings = () => {
+    const track = getTrack()
+    const current = track ? track.getSettings() : null
+    setSettings(current)
+    return current
+  }
+
+  /**
+   * List the available cameras
+   * Labels are only filled in once camera permission has been granted
+   */
+  const enumerateDevices = async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return
+    try {
+      const all = await navigator.mediaDevices.enumerateDevices()
+      setDevices(
+        all
+          .filter((device) => device.kind === 'videoinput')
+          .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }))
+      )
+    } catch (err) {
+      console.error('Camera enumeration error:', err)
+    }
+  }
+
+  /**
+   * Lock exposure, white balance and focus where supported
+   * Prefers manual mode at the current value, otherwise a single-shot adjustment
+   * @returns {Promise<Array<string>>} Names of the locked controls
+   */
+  const lockCameraControls = async () => {
+    const track = getTrack()
+    if (!track || typeof track.getCapabilities !== 'function') return []
+
+    const trackCapabilities = track.getCapabilities()
+    const current = track.getSettings()
+    const locked = []
+    for (const control of LOCKABLE_CONTROLS) {
+      const modes = trackCapabilities[control.mode]
+      if (!Array.isArray(modes)) continue
+
+      let constraint = null
+      if (modes.includes('manual') && current[control.value] !== undefined) {
+        constraint = { [control.mode]: 'manual', [control.value]: current[control.value] }
+      } else if (modes.includes('single-shot')) {
+        constraint = { [control.mode]: 'single-shot' }
+      }
+      if (!constraint) continue
+
+      // One at a time, so a control the camera rejects does not block the others
+      try {
+        await track.applyConstraints({ advanced: [constraint] })
+        locked.push(control.name)
+      } catch (err) {
+        console.warn(`Could not lock camera ${control.name}:`, err)
+      }
+    }
+
+    console.log('Camera controls locked:', locked.length > 0 ? locked.join(', ') : 'none supported')
+    setLockedControls(locked)
+    refreshSettings()
+    return locked
+  }
+
+  /**
+   * Hand exposure, white balance and focus back to the camera
+   */
+  const unlockCameraControls = async () => {
+    const track = getTrack()
+    if (!track || typeof track.getCapabilities !== 'function') return
+
+    const trackCapabilities = track.getCapabilities()
+    for (const control of LOCKABLE_CONTROLS) {
+      if (!trackCapabilities[control.mode]?.includes('continuous')) continue
+      try {
+        await track.applyConstraints({ advanced: [{ [control.mode]: 'continuous' }] })
+      } catch (err) {
+        console.warn(`Could not unlock camera ${control.name}:`, err)
+      }
+    }
+    setLockedControls([])
+    refreshSettings()
+  }
 
   /**
    * Initialize camera access
+   * @param {string} requestedDeviceId - Camera to open (defaults to the selected one, or facingMode)
+   * @param {'user'|'environment'} requestedFacingMode - Camera to open without a deviceId (defaults to the current facingMode)
    */
-  const initializeCamera = async () => {
+  const initializeCamera = async (requestedDeviceId = deviceId, requestedFacingMode = facingMode) => {
     try {
       setError(null)
 
       // Request camera access with provided constraints
       const stream = await navigator.mediaDevices.getUserMedia({
         video: {
-          facingMode,
+          ...(requestedDeviceId ? { deviceId: { exact: requestedDeviceId } } : { facingMode: requestedFacingMode }),
           width: { ideal: width },
           height: { ideal: height },
+          frameRate: { ideal: frameRate },
         },
       })
 
@@ -52,6 +177,22 @@ export function useCamera(options = {}) {
             }
           }
         })
+
+        const track = getTrack()
+        setCapabilities(typeof track?.getCapabilities === 'function' ? track.getCapabilities() : null)
+        setDeviceId(track?.getSettings().deviceId ?? requestedDeviceId)
+        // Desktop cameras do not report facingMode: keep the requested one
+        setFacingMode(track?.getSettings().facingMode ?? requestedFacingMode)
+        await enumerateDevices()
+
+        if (lockControls) {
+          // Let the automatic controls converge on the scene first
+          await new Promise((resolve) => setTimeout(resolve, CONTROL_SETTLE_TIME))
+          await lockCameraControls()
+        } else {
+          refreshSettings()
+        }
+
         setIsInitialized(true)
         setHasPermission(true)
       }
@@ -68,6 +209,8 @@ export function useCamera(options = {}) {
         setError('No camera found. Please ensure your device has a camera.')
       } else if (err.name === 'NotReadableError' || err.name === 'TrackStartError') {
         setError('Camera is already in use by another application.')
+      } else if (err.name === 'OverconstrainedError') {
+        setError('The selected camera is not available.')
       } else {
         setError('Failed to initialize camera. Please try again.')
       }
@@ -86,6 +229,30 @@ export function useCamera(options = {}) {
       videoRef.current.srcObject = null
     }
     setIsInitialized(false)
+    setSettings(null)
+    setCapabilities(null)
+    setLockedControls([])
+  }
+
+  /**
+   * Switch to another camera
+   * @param {string} newDeviceId - deviceId from devices
+   */
+  const selectDevice = async (newDeviceId) => {
+    stopCamera()
+    setDeviceId(newDeviceId)
+    await initializeCamera(newDeviceId)
+  }
+
+  /**
+   * Switch between the front and back camera
+   * @param {'user'|'environment'} newFacingMode - Camera to open
+   */
+  const selectFacingMode = async (newFacingMode) => {
+    stopCamera()
+    setDeviceId(null)
+    setFacingMode(newFacingMode)
+    await initializeCamera(null, newFacingMode)
   }
 
   // Cleanup on unmount
@@ -102,6 +269,16 @@ export function useCamera(options = {}) {
     hasPermission,
     initializeCamera,
     stopCamera,
+    getTrack,
+    devices,
+    deviceId,
+    selectDevice,
+    facingMode,
+    selectFacingMode,
+    settings,
+    capabilities,
+    lockedControls,
+    lockControls: lockCameraControls,
+    unlockControls: unlockCameraControls,
   }
 }
-
@@ -0,0 +1,144 @@
+/**
+ * Bit Clock Utility
+ *
+ * Software PLL for the receivers. Instead of advancing the bit clock from
+ * whichever frame happens to land after BIT_DURATION (which adds up to one
+ * frame of lateness per bit), the clock is anchored on the preamble's
+ * rising edge and every observed transition is used to re-fit it:
+ *
+ *   edgeTime = offset + rate * nominalTime
+ *
+ * where nominalTime is the transmitter's schedule (preamble + n units).
+ * The fitted rate absorbs clock mismatch between the devices, so the sample
+ * point stays centred even for long frames.
+ */
+
+import { TIMING_CONFIG } from './config'
+
+/**
+ * Bit Clock Class
+ * Tracks unit (bit or half-bit) boundaries and re-aligns on transitions
+ */
+export class BitClock {
+  /**
+   * @param {Object} options - Clock options
+   * @param {number} options.unitDuration - Nominal duration of one unit (ms)
+   * @param {number} options.maxDrift - Largest accepted rate mismatch (e.g. 0.1 = ±10%)
+   * @param {number} options.lockWindow - Accept edges within this fraction of a unit from a boundary
+   * @param {number} options.minRateSpan - Units the edges must span before the rate is fitted
+   */
+  constructor(options = {}) {
+    const {
+      unitDuration = TIMING_CONFIG.BIT_DURATION,
+      maxDrift = TIMING_CONFIG.MAX_CLOCK_DRIFT,
+      lockWindow = 0.35,
+      minRateSpan = 3,
+    } = options
+
+    this.unitDuration = unitDuration
+    this.maxDrift = maxDrift
+    this.lockWindow = lockWindow
+    this.minRateSpan = minRateSpan
+    this.start(0, 0)
+  }
+
+  /**
+   * Anchor the clock on the preamble
+   * @param {number} referenceTime - Time of the preamble's first edge (ms)
+   * @param {number} preambleDuration - Nominal preamble duration; unit 0 starts right after it (ms)
+   * @param {Array<Object>} anchors - Observed preamble edges { time, offset } (offset = nominal ms
+   *   since the first edge); an anchor at offset 0 replaces referenceTime
+   */
+  start(referenceTime, preambleDuration, anchors = []) {
+    const firstEdge = anchors.find((anchor) => anchor.offset === 0)
+    const reference = firstEdge ? firstEdge.time : referenceTime
+
+    this.preambleDuration = preambleDuration
+    this.offset = reference
+    this.rate = 1
+    this.points = [
+      { nominal: 0, time: reference },
+      ...anchors.filter((anchor) => anchor.offset > 0).map((anchor) => ({ nominal: anchor.offset, time: anchor.time }))
+    ]
+    this.measuredPreamble = null
+    if (this.points.length > 1) {
+      this.fit()
+    }
+  }
+
+  /**
+   * Expected start time of a unit
+   * @param {number} n - Unit index (0 = first unit after the preamble)
+   * @returns {number} Time (ms)
+   */
+  unitStart(n) {
+    return this.offset + this.rate * (this.preambleDuration + n * this.unitDuration)
+  }
+
+  /**
+   * Index of the unit a time falls into (-1 while still in the preamble)
+   * @param {number} time - Time (ms)
+   * @returns {number} Unit index
+   */
+  unitAt(time) {
+    const nominal = (time - this.offset) / this.rate - this.preambleDuration
+    return nominal < 0 ? -1 : Math.floor(nominal / this.unitDuration)
+  }
+
+  /**
+   * Feed an observed light transition
+   * Edges close to an expected boundary re-fit the clock; others are ignored
+   * @param {number} edgeTime - Estimated transition time (ms)
+   * @returns {number} Index of the unit the edge starts, or -1 if the edge was ignored
+   */
+  observeEdge(edgeTime) {
+    const nominal = (edgeTime - this.offset) / this.rate - this.preambleDuration
+    const n = Math.round(nominal / this.unitDuration)
+
+    // The further we extrapolate from the last edge, the more drift can build
+    // up, so the window widens with the distance (never past half a unit)
+    const lastNominal = this.points[this.points.length - 1].nominal
+    const distance = this.preambleDuration + n * this.unitDuration - lastNominal
+    const window = Math.min(0.5, this.lockWindow + (this.maxDrift * distance) / this.unitDuration)
+    if (n < 0 || Math.abs(nominal / this.unitDuration - n) > window) {
+      return -1
+    }
+
+    if (n === 0 && this.measuredPreamble === null) {
+      // First bit starts with a transition: this is the real preamble length
+      this.measuredPreamble = edgeTime - this.points[0].time
+    }
+
+    this.points.push({ nominal: this.preambleDuration + n * this.unitDuration, time: edgeTime })
+    this.fit()
+    return n
+  }
+
+  /**
+   * Least-squares fit of edge times against the nominal schedule
+   */
+  fit() {
+    const count = this.points.length
+    let meanX = 0
+    let meanY = 0
+    for (const point of this.points) {
+      meanX += point.nominal
+      meanY += point.time
+    }
+    meanX /= count
+    meanY /= count
+
+    let covariance = 0
+    let variance = 0
+    for (const point of this.points) {
+      covariance += (point.nominal - meanX) * (point.time - meanY)
+      variance += (point.nominal - meanX) ** 2
+    }
+
+    // Short spans give noisy rates: only fit the offset until the edges cover enough units
+    const span = this.points[count - 1].nominal - this.points[0].nominal
+    const rate = variance > 0 && span >= this.minRateSpan * this.unitDuration ? covariance / variance : 1
+    this.rate = Math.min(1 + this.maxDrift, Math.max(1 - this.maxDrift, rate))
+    this.offset = meanY - this.rate * meanX
+  }
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import { BitClock } from './bitClock'
+
+// Nominal unit and preamble durations of the simulated transmitter (ms)
+const UNIT = 300
+const PREAMBLE = 1000
+
+describe('BitClock', () => {
+  it('follows the nominal schedule from the preamble edge', () => {
+    const clock = new BitClock({ unitDuration: UNIT })
+    clock.start(500, PREAMBLE)
+
+    expect(clock.unitStart(0)).toBe(1500)
+    expect(clock.unitStart(3)).toBe(2400)
+    expect(clock.unitAt(1499)).toBe(-1)
+    expect(clock.unitAt(1500)).toBe(0)
+    expect(clock.unitAt(2450)).toBe(3)
+  })
+
+  it('fits the rate of a transmitter whose clock runs slow', () => {
+    const rate = 1.06
+    const clock = new BitClock({ unitDuration: UNIT, maxDrift: 0.1 })
+    clock.start(0, PREAMBLE)
+
+    // Transitions on every other boundary, observed with a little jitter
+    for (let n = 0; n <= 40; n += 2) {
+      clock.observeEdge(rate * (PREAMBLE + n * UNIT) + (n % 4 === 0 ? 5 : -5))
+    }
+
+    expect(clock.rate).toBeCloseTo(rate, 2)
+    // The middle of a late bit is still inside that bit
+    expect(clock.unitAt(rate * (PREAMBLE + 60.5 * UNIT))).toBe(60)
+  })
+
+  it('measures the real preamble from the first bit edge', () => {
+    const clock = new BitClock({ unitDuration: UNIT })
+    clock.start(0, PREAMBLE)
+    expect(clock.observeEdge(1040)).toBe(0)
+    expect(clock.measuredPreamble).toBe(1040)
+  })
+
+  it('ignores edges far from any boundary', () => {
+    const clock = new BitClock({ unitDuration: UNIT, maxDrift: 0.1 })
+    clock.start(0, PREAMBLE)
+    expect(clock.observeEdge(PREAMBLE)).toBe(0)
+    // Half a unit after the last edge: no boundary is near enough
+    expect(clock.observeEdge(PREAMBLE + 0.5 * UNIT)).toBe(-1)
+    expect(clock.points).toHaveLength(2)
+  })
+
+  it('never fits a rate beyond maxDrift', () => {
+    const clock = new BitClock({ unitDuration: UNIT, maxDrift: 0.05, lockWindow: 0.5 })
+    clock.start(0, PREAMBLE, [{ time: 1200, offset: PREAMBLE }])
+    expect(clock.rate).toBe(1.05)
+  })
+
+  it('takes its reference from a preamble anchor at offset 0', () => {
+    const clock = new BitClock({ unitDuration: UNIT })
+    clock.start(0, PREAMBLE, [{ time: 20, offset: 0 }])
+    expect(clock.unitStart(0)).toBe(1020)
+  })
+})
@@ -0,0 +1,98 @@
+/**
+ * Bit Sampler Utility
+ *
+ * Turns the camera frames that land in one NRZ bit into the bit value. At 30
+ * fps a 300ms bit spans about nine frames; the frames at either end may be
+ * exposed across a transition, and any frame may be noisy. Three strategies:
+ * - majority: each frame is sliced ON/OFF (with hysteresis) and the bit takes
+ *   the majority, ties going to the frame closest to the middle of the bit
+ * - midpoint: only the frame closest to the middle of the bit counts
+ * - integrate: integrate-and-dump; the brightness of all the bit's frames is
+ *   averaged and the mean sliced at the ON/OFF midpoint, which averages the
+ *   noise down instead of voting on noisy decisions
+ * Manchester, colour-shift keying, 4-PAM and the tile grid have their own
+ * symbol slicers and do not use the bit sampler.
+ */
+
+import { TIMING_CONFIG } from './config'
+
+// Supported bit sampling strategies
+export const BIT_SAMPLING = {
+  MAJORITY: 'majority',  // Majority vote over the bit's frames
+  MIDPOINT: 'midpoint',  // The frame closest to the middle of the bit
+  INTEGRATE: 'integrate' // Integrate-and-dump: mean brightness over the bit
+}
+
+/**
+ * Bit Sampler Class
+ * Collects the frames of the current bit and decides its value
+ */
+export class BitSampler {
+  /**
+   * @param {Object} options - Sampler options
+   * @param {string} options.mode - One of BIT_SAMPLING (defaults to TIMING_CONFIG.BIT_SAMPLING)
+   */
+  constructor(options = {}) {
+    const { mode = TIMING_CONFIG.BIT_SAMPLING } = options
+    if (!Object.values(BIT_SAMPLING).includes(mode)) {
+      throw new Error(`Unknown bit sampling strategy: ${mode}`)
+    }
+    this.mode = mode
+    this.reset()
+  }
+
+  /**
+   * Forget the collected frames (start of a new bit)
+   */
+  reset() {
+    this.ones = 0
+    this.zeros = 0
+    this.sum = 0
+    this.nearest = null // frame closest to the middle: { isOn, distance }
+  }
+
+  /**
+   * Number of frames collected for the current bit
+   * @returns {number} Frame count
+   */
+  get count() {
+    return this.ones + this.zeros
+  }
+
+  /**
+   * Add a frame of the current bit
+   * @param {boolean} isOn - Frame sliced ON/OFF
+   * @param {number} brightness - Frame brightness
+   * @param {number} distance - Time from the middle of the bit (ms)
+   */
+  push(isOn, brightness, distance) {
+    if (isOn) {
+      this.ones++
+    } else {
+      this.zeros++
+    }
+    this.sum += brightness
+    if (!this.nearest || distance < this.nearest.distance) {
+      this.nearest = { isOn, distance }
+    }
+  }
+
+  /**
+   * Decide the bit from the collected frames
+   * @param {number} threshold - ON/OFF midpoint (integrate only)
+   * @returns {number|null} Bit (0 or 1), null if no frame landed in the bit
+   */
+  decide(threshold) {
+    if (this.count === 0) return null
+
+    switch (this.mode) {
+      case BIT_SAMPLING.MIDPOINT:
+        return this.nearest.isOn ? 1 : 0
+      case BIT_SAMPLING.INTEGRATE:
+        return this.sum / this.count > threshold ? 1 : 0
+      default:
+        if (this.ones === this.zeros) return this.nearest.isOn ? 1 : 0
+        return this.ones > this.zeros ? 1 : 0
+    }
+  }
+}
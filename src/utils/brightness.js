@@ -0,0 +1,87 @@
+/**
+ * Brightness Utility
+ *
+ * Turns camera pixels into brightness: the per-pixel measure (optionally one
+ * colour channel only), the frame-centre sample used when the emitter is not
+ * located, and the fixed-threshold ON/OFF check.
+ */
+
+import { TIMING_CONFIG } from './config'
+import { CHANNEL, CHANNEL_MASKS } from './flashSequence'
+import { fitCanvas } from './frameSampler'
+
+/**
+ * Calculate brightness from RGB values
+ * @param {number} r - Red component (0-255)
+ * @param {number} g - Green component (0-255)
+ * @param {number} b - Blue component (0-255)
+ * @param {string} channel - Colour channel to measure, one of CHANNEL (defaults to all three)
+ * @returns {number} Brightness value (0-255)
+ */
+export function calculateBrightness(r, g, b, channel = CHANNEL.WHITE) {
+  const [mr, mg, mb] = CHANNEL_MASKS[channel]
+  return (mr * r + mg * g + mb * b) / (mr + mg + mb)
+}
+
+/**
+ * Sample center pixels from a video frame to detect light state
+ * @param {HTMLVideoElement} video - Video element to sample from
+ * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+ * @param {string} channel - Colour channel to measure, one of CHANNEL (defaults to all three)
+ * @returns {number} Average brightness of center region (0-255)
+ */
+export function sampleCenterBrightness(video, canvas, channel = CHANNEL.WHITE) {
+  if (!video || !canvas || video.readyState !== video.HAVE_ENOUGH_DATA) {
+    return 0
+  }
+
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return 0
+
+  // Draw current video frame to canvas
+  fitCanvas(canvas, video.videoWidth, video.videoHeight)
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+
+  // Sample center region (20% of width/height from center)
+  const centerX = canvas.width / 2
+  const centerY = canvas.height / 2
+  const sampleWidth = canvas.width * 0.2
+  const sampleHeight = canvas.height * 0.2
+  const startX = centerX - sampleWidth / 2
+  const startY = centerY - sampleHeight / 2
+
+  // Get image data from center region
+  const imageData = ctx.getImageData(
+    Math.max(0, startX),
+    Math.max(0, startY),
+    Math.min(sampleWidth, canvas.width),
+    Math.min(sampleHeight, canvas.height)
+  )
+
+  // Calculate average brightness
+  let totalBrightness = 0
+  const pixelCount = imageData.data.length / 4 // RGBA = 4 values per pixel
+
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    const r = imageData.data[i]
+    const g = imageData.data[i + 1]
+    const b = imageData.data[i + 2]
+    totalBrightness += calculateBrightness(r, g, b, channel)
+  }
+
+  return totalBrightness / pixelCount
+}
+
+/**
+ * Determine if light is ON or OFF based on differential detection
+ * Compares current brightness to baseline to detect device light changes
+ * @param {number} brightness - Current brightness value (0-255)
+ * @param {number} baseline - Baseline/reference brightness (0-255)
+ * @returns {boolean} true if light is ON (significantly brighter than baseline), false if OFF
+ */
+export function isLightOn(brightness, baseline) {
+  // Use differential detection: light is ON if significantly brighter than baseline
+  // This filters out ambient light and only detects changes from the device
+  const change = brightness - baseline
+  return change >= TIMING_CONFIG.BRIGHTNESS_CHANGE_THRESHOLD
+}
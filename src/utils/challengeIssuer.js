@@ -0,0 +1,245 @@
+/**
+ * Challenge Issuer Utility
+ *
+ * Gate-side bookkeeping for challenges:
+ * - Challenges are drawn from crypto.getRandomValues
+ * - Recently issued nonces are remembered and never reissued (fixed test
+ *   patterns are exempt, see issueTestPattern)
+ * - Each challenge is valid for a limited window and can only be answered once;
+ *   the window opens once the challenge has been sent (see markSent), so the
+ *   time spent flashing it does not come out of the phone's time to answer,
+ *   and it is sized to the time the response takes to flash (see responseWindow)
+ * - A response to an older (superseded) challenge is reported separately
+ */
+
+import { TIMING_CONFIG } from './config'
+import { flashDuration } from './flashSequence'
+import { bytesEqual, toHex } from './framing'
+import { computeResponse, RESPONSE_CONFIG } from './responseAlgorithm'
+
+// Size of each challenge nonce (bytes, up to the frame's MAX_PAYLOAD_BYTES)
+export const CHALLENGE_BYTES = 4
+
+// Number of recently issued nonces remembered to refuse reuse
+export const NONCE_MEMORY_SIZE = 64
+
+// Number of earlier challenges (test patterns included) checked when classifying a response as superseded
+// Kept small: with short responses every extra candidate raises the chance of a false match
+export const SUPERSEDED_LOOKBACK = 3
+
+// Possible verification results
+export const VERIFY_RESULT = {
+  GRANTED: 'GRANTED',           // Correct response to the current challenge
+  DENIED: 'DENIED',             // Wrong response
+  EXPIRED: 'EXPIRED',           // Response arrived after the validity window closed
+  SUPERSEDED: 'SUPERSEDED',     // Response answers an older challenge
+  REPLAYED: 'REPLAYED',         // Current challenge was already answered
+  NO_CHALLENGE: 'NO_CHALLENGE'  // No challenge has been issued
+}
+
+/**
+ * Draw a cryptographically random challenge
+ * @param {number} length - Challenge size in bytes (defaults to CHALLENGE_BYTES)
+ * @returns {Uint8Array} Random challenge bytes
+ */
+export function generateChallenge(length = CHALLENGE_BYTES) {
+  if (!globalThis.crypto || !globalThis.crypto.getRandomValues) {
+    throw new Error('crypto.getRandomValues is not available')
+  }
+  return crypto.getRandomValues(new Uint8Array(length))
+}
+
+/**
+ * Time the phone needs to answer a challenge once it has been sent
+ * RESPONSE_DELAY, plus the response's flash time at the given bit duration,
+ * plus CHALLENGE_VALIDITY of slack for decoding and scheduling
+ * @param {number} responseBytes - Size of the response (bytes)
+ * @param {number} bitDuration - Bit duration both sides use (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+ * @returns {number} Validity window (ms)
+ */
+export function responseWindow(responseBytes, bitDuration = TIMING_CONFIG.BIT_DURATION) {
+  const responseTime = flashDuration(new Uint8Array(responseBytes), { bitDuration })
+  return TIMING_CONFIG.RESPONSE_DELAY + responseTime + TIMING_CONFIG.CHALLENGE_VALIDITY
+}
+
+/**
+ * Challenge Issuer Class
+ * Issues challenges and verifies responses with replay and expiry protection
+ */
+export class ChallengeIssuer {
+  /**
+   * @param {Object} options - Issuer options
+   * @param {number} options.validityWindow - Fixed validity window (ms); sized with responseWindow if omitted
+   * @param {number} options.nonceMemory - Number of recent nonces that may not be reissued
+   * @param {Object} options.responseOptions - Options passed to computeResponse
+   */
+  constructor(options = {}) {
+    const {
+      validityWindow = null,
+      nonceMemory = NONCE_MEMORY_SIZE,
+      responseOptions = {},
+    } = options
+
+    this.validityWindow = validityWindow
+    this.nonceMemory = nonceMemory
+    this.responseOptions = responseOptions
+    this.recentNonces = [] // Oldest first, at most nonceMemory entries
+    this.superseded = []   // Challenges replaced by a newer one, oldest first, at most SUPERSEDED_LOOKBACK entries
+    this.current = null
+  }
+
+  /**
+   * Check whether a nonce was issued recently
+   * @param {Uint8Array} nonce - Nonce to look up
+   * @returns {boolean} True if the nonce is still remembered
+   */
+  isRecent(nonce) {
+    return this.recentNonces.some((recent) => bytesEqual(recent, nonce))
+  }
+
+  /**
+   * Issue a new challenge, superseding the previous one
+   * @param {Uint8Array} value - Optional explicit challenge; random if omitted
+   * @returns {Object} Issued challenge { value, issuedAt }
+   */
+  issue(value) {
+    let nonce = value
+    if (nonce === undefined) {
+      // Redraw until we get a nonce that has not been issued recently
+      do {
+        nonce = generateChallenge()
+      } while (this.isRecent(nonce))
+    } else if (this.isRecent(nonce)) {
+      throw new Error(`Challenge ${toHex(nonce)} was issued recently and cannot be reused`)
+    }
+
+    this.recentNonces.push(nonce)
+    if (this.recentNonces.length > this.nonceMemory) {
+      this.recentNonces.shift()
+    }
+
+    return this.activate(nonce)
+  }
+
+  /**
+   * Issue a fixed diagnostic challenge (e.g. all bytes 0x00 or 0xff)
+   * Test patterns are meant to be sent again and again, so they bypass the
+   * nonce memory: they are never refused as recent and are not remembered.
+   * Verification, expiry, supersession and the one-answer rule apply as for
+   * any other challenge.
+   * @param {Uint8Array} value - Challenge bytes
+   * @returns {Object} Issued challenge { value, issuedAt }
+   */
+  issueTestPattern(value) {
+    return this.activate(value)
+  }
+
+  /**
+   * Make a nonce the current challenge, superseding the previous one
+   * The validity window only opens once the challenge has been sent (see markSent)
+   * @param {Uint8Array} nonce - Challenge bytes
+   * @returns {Object} Issued challenge { value, issuedAt }
+   */
+  activate(nonce) {
+    if (this.current) {
+      this.superseded.push(this.current.value)
+      if (this.superseded.length > SUPERSEDED_LOOKBACK) {
+        this.superseded.shift()
+      }
+    }
+
+    const issuedAt = performance.now()
+    this.current = {
+      value: nonce,
+      issuedAt,
+      expiresAt: null, // Set by markSent
+      answered: false
+    }
+
+    console.log(`[ChallengeIssuer] Issued challenge ${toHex(nonce)}`)
+    return { value: nonce, issuedAt }
+  }
+
+  /**
+   * Open the validity window of the current challenge
+   * Called when the challenge has been flashed completely; later calls (full
+   * duplex repeats) keep the window opened by the first one
+   * @param {number} sentAt - Time the transmission ended (defaults to now)
+   * @param {number} bitDuration - Bit duration the response will be sent at (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+   * @returns {number|null} Time the challenge expires, null if none is current
+   */
+  markSent(sentAt = performance.now(), bitDuration = TIMING_CONFIG.BIT_DURATION) {
+    if (!this.current) return null
+    if (this.current.expiresAt === null) {
+      // Keyed responses are responseBytes long, the demo response as long as the challenge
+      const responseBytes = Math.max(
+        this.current.value.length,
+        this.responseOptions.responseBytes ?? RESPONSE_CONFIG.RESPONSE_BYTES
+      )
+      const validFor = this.validityWindow ?? responseWindow(responseBytes, bitDuration)
+      this.current.expiresAt = sentAt + validFor
+      console.log(`[ChallengeIssuer] Challenge ${toHex(this.current.value)} sent, valid for ${Math.round(validFor)}ms`)
+    }
+    return this.current.expiresAt
+  }
+
+  /**
+   * Check whether the current challenge's validity window has closed
+   * @param {number} time - Time to check (defaults to now)
+   * @returns {boolean} True if the window was opened and has closed
+   */
+  isExpired(time = performance.now()) {
+    return Boolean(this.current) && this.current.expiresAt !== null && time > this.current.expiresAt
+  }
+
+  /**
+   * Verify a response against the current challenge
+   * @param {Uint8Array} response - Response received from phone
+   * @param {number} receivedAt - Time the response was received (defaults to now)
+   * @returns {Promise<string>} One of VERIFY_RESULT
+   */
+  async verify(response, receivedAt = performance.now()) {
+    if (!this.current) {
+      return VERIFY_RESULT.NO_CHALLENGE
+    }
+
+    const challenge = this.current
+
+    if (challenge.answered) {
+      return VERIFY_RESULT.REPLAYED
+    }
+
+    if (this.isExpired(receivedAt)) {
+      return VERIFY_RESULT.EXPIRED
+    }
+
+    const expected = await computeResponse(challenge.value, this.responseOptions)
+    if (bytesEqual(response, expected)) {
+      // Only the first correct answer is accepted (another verification
+      // may have completed while we were awaiting the expected response)
+      if (challenge.answered) {
+        return VERIFY_RESULT.REPLAYED
+      }
+      challenge.answered = true
+      return VERIFY_RESULT.GRANTED
+    }
+
+    // Check whether the response answers one of the last few older challenges
+    for (const nonce of this.superseded) {
+      const olderExpected = await computeResponse(nonce, this.responseOptions)
+      if (bytesEqual(response, olderExpected)) {
+        return VERIFY_RESULT.SUPERSEDED
+      }
+    }
+
+    return VERIFY_RESULT.DENIED
+  }
+
+  /**
+   * Forget the current challenge (recent nonces are kept to refuse reuse,
+   * superseded challenges to recognise late answers)
+   */
+  reset() {
+    this.current = null
+  }
+}
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { ChallengeIssuer, VERIFY_RESULT } from './challengeIssuer'
+import { TIMING_CONFIG } from './config'
+import { flashDuration } from './flashSequence'
+import { computeResponse } from './responseAlgorithm'
+
+const PATTERN = new Uint8Array([0x00, 0x00, 0x00, 0x00])
+
+describe('ChallengeIssuer', () => {
+  let issuer
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['performance'] })
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    issuer = new ChallengeIssuer({ validityWindow: 1000 })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('grants one correct answer and reports the next as replayed', async () => {
+    const { value } = issuer.issue()
+    issuer.markSent()
+    const response = await computeResponse(value)
+
+    expect(await issuer.verify(response)).toBe(VERIFY_RESULT.GRANTED)
+    expect(await issuer.verify(response)).toBe(VERIFY_RESULT.REPLAYED)
+  })
+
+  it('denies a wrong answer and reports no challenge before the first', async () => {
+    expect(await issuer.verify(new Uint8Array(4))).toBe(VERIFY_RESULT.NO_CHALLENGE)
+
+    const { value } = issuer.issue()
+    issuer.markSent()
+    const response = await computeResponse(value)
+    response[0] ^= 0xff
+    expect(await issuer.verify(response)).toBe(VERIFY_RESULT.DENIED)
+  })
+
+  it('opens the validity window when the challenge has been sent', async () => {
+    const { value } = issuer.issue()
+    const response = await computeResponse(value)
+
+    // Flashing the challenge takes longer than the window itself
+    vi.advanceTimersByTime(5000)
+    expect(issuer.isExpired()).toBe(false)
+    issuer.markSent()
+    vi.advanceTimersByTime(900)
+    // Repeats (full duplex) keep the window of the first transmission
+    issuer.markSent()
+    expect(await issuer.verify(response)).toBe(VERIFY_RESULT.GRANTED)
+  })
+
+  it('expires a challenge once its window has closed', async () => {
+    const { value } = issuer.issue()
+    issuer.markSent()
+    vi.advanceTimersByTime(1001)
+
+    expect(issuer.isExpired()).toBe(true)
+    expect(await issuer.verify(await computeResponse(value))).toBe(VERIFY_RESULT.EXPIRED)
+  })
+
+  it('refuses to reissue a recent nonce but lets test patterns repeat', () => {
+    const { value } = issuer.issue()
+    expect(() => issuer.issue(value)).toThrow()
+
+    issuer.issueTestPattern(PATTERN)
+    expect(() => issuer.issueTestPattern(PATTERN)).not.toThrow()
+  })
+
+  it('reports an answer to a challenge replaced by a test pattern as superseded', async () => {
+    const { value } = issuer.issue()
+    issuer.issueTestPattern(PATTERN)
+    issuer.markSent()
+
+    expect(await issuer.verify(await computeResponse(value))).toBe(VERIFY_RESULT.SUPERSEDED)
+  })
+
+  it('reports an answer to a replaced test pattern as superseded', async () => {
+    issuer.issueTestPattern(PATTERN)
+    issuer.issue()
+    issuer.markSent()
+
+    expect(await issuer.verify(await computeResponse(PATTERN))).toBe(VERIFY_RESULT.SUPERSEDED)
+  })
+
+  it.each([TIMING_CONFIG.BIT_DURATION, TIMING_CONFIG.MIN_BIT_DURATION])(
+    'grants a default exchange at %ims per bit',
+    async (bitDuration) => {
+      const defaultIssuer = new ChallengeIssuer()
+      const { value } = defaultIssuer.issue()
+      const response = await computeResponse(value)
+
+      // Gate flashes the challenge, phone counts down and flashes the response
+      vi.advanceTimersByTime(flashDuration(value, { bitDuration }))
+      defaultIssuer.markSent(performance.now(), bitDuration)
+      vi.advanceTimersByTime(TIMING_CONFIG.RESPONSE_DELAY + flashDuration(response, { bitDuration }))
+
+      // Decoding and scheduling lag on both sides
+      vi.advanceTimersByTime(2000)
+      expect(await defaultIssuer.verify(response)).toBe(VERIFY_RESULT.GRANTED)
+    }
+  )
+})
@@ -0,0 +1,243 @@
+/**
+ * Colour-Shift Keying Utility
+ *
+ * Drives the red, green and blue channels independently so every symbol
+ * carries three bits (R = first bit, G = second, B = third) instead of one.
+ * Cameras see a mix of the three primaries (white balance, sensor crosstalk),
+ * so the frame is preceded by a colour calibration preamble: black, red,
+ * green and blue, one symbol each. The receiver measures the camera's
+ * response to each primary and unmixes every data symbol with the inverse
+ * of that 3×3 response matrix before slicing each channel at half scale.
+ *
+ * Symbols last BIT_DURATION and are not line coded; the symbol clock
+ * re-aligns on every symbol change (see bitClock.js).
+ */
+
+import { BitClock } from './bitClock'
+import { TIMING_CONFIG } from './config'
+
+// Bits carried by one CSK symbol
+export const CSK_BITS_PER_SYMBOL = 3
+
+// Calibration preamble: black reference, then each primary alone
+export const CSK_CALIBRATION = ['#000000', '#FF0000', '#00FF00', '#0000FF']
+
+/**
+ * Screen color for a group of three bits
+ * @param {Array<number>} bits - [red, green, blue] bits
+ * @returns {string} Hex color
+ */
+export function symbolColor(bits) {
+  return '#' + bits.map((bit) => (bit === 1 ? 'FF' : '00')).join('')
+}
+
+/**
+ * Group frame bits into CSK symbols (the last symbol is padded with zeros)
+ * @param {Array<number>} bits - Frame bits
+ * @param {number} symbolDuration - Duration of each symbol (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+ * @returns {Array<Object>} Symbols { color, duration, bitIndex, bits }
+ */
+export function encodeCskSymbols(bits, symbolDuration = TIMING_CONFIG.BIT_DURATION) {
+  const symbols = []
+  for (let i = 0; i < bits.length; i += CSK_BITS_PER_SYMBOL) {
+    const group = bits.slice(i, i + CSK_BITS_PER_SYMBOL)
+    while (group.length < CSK_BITS_PER_SYMBOL) group.push(0)
+    symbols.push({
+      color: symbolColor(group),
+      duration: symbolDuration,
+      bitIndex: i,
+      bits: group
+    })
+  }
+  return symbols
+}
+
+/**
+ * Mean color of a region of the frame already drawn on the canvas
+ * Call right after sampling brightness, which draws the frame
+ * @param {HTMLCanvasElement} canvas - Canvas holding the current frame
+ * @param {Object} region - { x, y, width, height } as fractions of the frame
+ * @returns {Array<number>|null} [r, g, b] (0-255), null if the canvas is empty
+ */
+export function sampleRegionColor(canvas, region) {
+  const ctx = canvas && canvas.getContext('2d')
+  if (!ctx || !canvas.width || !canvas.height) return null
+
+  const x = Math.floor(region.x * canvas.width)
+  const y = Math.floor(region.y * canvas.height)
+  const width = Math.max(1, Math.round(region.width * canvas.width))
+  const height = Math.max(1, Math.round(region.height * canvas.height))
+  const { data } = ctx.getImageData(x, y, width, height)
+
+  const color = [0, 0, 0]
+  for (let i = 0; i < data.length; i += 4) {
+    color[0] += data[i]
+    color[1] += data[i + 1]
+    color[2] += data[i + 2]
+  }
+  const pixelCount = data.length / 4
+  return color.map((sum) => sum / pixelCount)
+}
+
+/**
+ * Invert a 3×3 matrix
+ * @param {Array<Array<number>>} m - Matrix (rows)
+ * @returns {Array<Array<number>>|null} Inverse, null if singular
+ */
+function invert3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m
+  const A = e * i - f * h
+  const B = -(d * i - f * g)
+  const C = d * h - e * g
+  const det = a * A + b * B + c * C
+  if (Math.abs(det) < 1e-9) return null
+
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+  ]
+}
+
+/**
+ * CSK Demodulator Class
+ * Recovers bits from a stream of ROI colors: learns the camera response from
+ * the calibration preamble, then unmixes and slices one symbol per unit
+ */
+export class CskDemodulator {
+  /**
+   * @param {Object} options - Demodulator options
+   * @param {number} options.symbolDuration - Duration of one symbol (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+   */
+  constructor(options = {}) {
+    const { symbolDuration = TIMING_CONFIG.BIT_DURATION } = options
+    this.clock = new BitClock({ unitDuration: symbolDuration })
+    this.start(0, 0)
+  }
+
+  /**
+   * Anchor the symbol clock on the preamble; the calibration symbols follow it
+   * @param {number} referenceTime - Time of the preamble's rising edge (ms)
+   * @param {number} preambleDuration - Nominal preamble duration (ms)
+   * @param {Array<Object>} anchors - Observed preamble edges, see BitClock.start
+   */
+  start(referenceTime, preambleDuration, anchors = []) {
+    this.clock.start(referenceTime, preambleDuration, anchors)
+    this.symbol = 0
+    this.samples = [] // { time, color } of the current symbol
+    this.calibration = [] // mean color of each calibration symbol
+    this.black = null
+    this.unmix = null
+    this.prevCode = null
+    this.prevSampleTime = null
+    this.error = null
+  }
+
+  /**
+   * Whether the calibration preamble has been measured
+   * @returns {boolean}
+   */
+  get calibrated() {
+    return this.unmix !== null
+  }
+
+  /**
+   * Feed one ROI color sample
+   * @param {Array<number>} color - [r, g, b] (0-255)
+   * @param {number} now - Sample time (ms)
+   * @returns {Array<number>} Data bits completed by this sample (may be empty)
+   */
+  push(color, now) {
+    // Re-align the symbol clock whenever the sliced symbol changes
+    if (this.calibrated) {
+      const code = this.slice(color).join('')
+      if (this.prevCode !== null && code !== this.prevCode) {
+        this.clock.observeEdge((this.prevSampleTime + now) / 2)
+      }
+      this.prevCode = code
+    }
+    this.prevSampleTime = now
+
+    const symbol = this.clock.unitAt(now)
+    const bits = []
+    while (this.symbol < symbol) {
+      bits.push(...this.finishSymbol(color))
+    }
+    if (symbol === this.symbol) {
+      this.samples.push({ time: now, color })
+    }
+    return bits
+  }
+
+  /**
+   * Decide the current symbol from its samples and move to the next one
+   * @param {Array<number>} fallback - Color to use if no sample landed in the symbol
+   * @returns {Array<number>} Data bits of the symbol (empty for calibration symbols)
+   */
+  finishSymbol(fallback) {
+    const color = this.averageColor(fallback)
+    const index = this.symbol
+    this.symbol++
+    this.samples = []
+
+    if (index < CSK_CALIBRATION.length) {
+      this.calibration.push(color)
+      if (this.calibration.length === CSK_CALIBRATION.length) {
+        this.calibrate()
+      }
+      return []
+    }
+    return this.slice(color)
+  }
+
+  /**
+   * Mean color of the samples in the middle half of the current symbol
+   * @param {Array<number>} fallback - Color to use if no sample landed in the symbol
+   * @returns {Array<number>} [r, g, b]
+   */
+  averageColor(fallback) {
+    if (this.samples.length === 0) return fallback
+
+    const start = this.clock.unitStart(this.symbol)
+    const end = this.clock.unitStart(this.symbol + 1)
+    const quarter = (end - start) / 4
+    const middle = this.samples.filter((sample) => sample.time >= start + quarter && sample.time <= end - quarter)
+
+    // Low frame rates may leave the middle half empty: use the sample closest to the middle
+    const chosen = middle.length > 0
+      ? middle
+      : [this.samples.reduce((best, sample) =>
+        Math.abs(sample.time - (start + end) / 2) < Math.abs(best.time - (start + end) / 2) ? sample : best)]
+    const color = [0, 0, 0]
+    for (const sample of chosen) {
+      for (let c = 0; c < 3; c++) color[c] += sample.color[c] / chosen.length
+    }
+    return color
+  }
+
+  /**
+   * Build the unmixing matrix from the calibration symbols
+   * Column k of the response matrix is the camera's response to primary k above black
+   */
+  calibrate() {
+    const [black, ...primaries] = this.calibration
+    const response = [0, 1, 2].map((row) => primaries.map((primary) => primary[row] - black[row]))
+    this.black = black
+    this.unmix = invert3(response)
+    if (!this.unmix) {
+      // Degenerate response (e.g. a monochrome camera or a missed preamble): nothing can be unmixed
+      this.error = 'Color calibration failed: camera cannot separate red, green and blue'
+    }
+  }
+
+  /**
+   * Unmix a color into per-primary intensities and slice each at half scale
+   * @param {Array<number>} color - [r, g, b] (0-255)
+   * @returns {Array<number>} [red, green, blue] bits
+   */
+  slice(color) {
+    if (!this.unmix) return [0, 0, 0]
+    const excess = color.map((value, c) => value - this.black[c])
+    return this.unmix.map((row) => (row[0] * excess[0] + row[1] * excess[1] + row[2] * excess[2] > 0.5 ? 1 : 0))
+  }
+}
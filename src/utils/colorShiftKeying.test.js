@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { CSK_CALIBRATION, CskDemodulator, encodeCskSymbols } from './colorShiftKeying'
+
+// Camera frame interval of the simulated receiver (ms)
+const FRAME_INTERVAL = 1000 / 30
+
+// Symbol duration of the simulated transmitter (ms)
+const SYMBOL = 300
+
+/**
+ * Film a CSK transmission (calibration, then data symbols) and demodulate it
+ * @param {Array<number>} bits - Frame bits
+ * @param {Function} camera - Maps a screen color [r, g, b] (0-1) to what the camera sees (0-255)
+ * @returns {Object} { bits, demodulator }
+ */
+function demodulate(bits, camera) {
+  const hexToColor = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255)
+  const colors = [...CSK_CALIBRATION, ...encodeCskSymbols(bits, SYMBOL).map((symbol) => symbol.color)].map(hexToColor)
+
+  const demodulator = new CskDemodulator({ symbolDuration: SYMBOL })
+  demodulator.start(0, 0)
+  const decoded = []
+  const end = (colors.length + 1) * SYMBOL
+  for (let t = Math.random() * FRAME_INTERVAL; t < end; t += FRAME_INTERVAL) {
+    const screen = colors[Math.floor(t / SYMBOL)] ?? [0, 0, 0]
+    decoded.push(...demodulator.push(camera(screen), t))
+  }
+  return { bits: decoded, demodulator }
+}
+
+describe('CskDemodulator', () => {
+  it('unmixes a camera with crosstalk between the channels', () => {
+    // Each row: how much of each primary the camera's channel picks up
+    const crosstalk = [[0.7, 0.25, 0.05], [0.2, 0.65, 0.15], [0.05, 0.3, 0.65]]
+    const camera = (screen) => crosstalk.map((row) => 20 + 200 * (row[0] * screen[0] + row[1] * screen[1] + row[2] * screen[2]))
+
+    const bits = Array.from({ length: 48 }, () => (Math.random() < 0.5 ? 1 : 0))
+    const result = demodulate(bits, camera)
+    expect(result.demodulator.error).toBeNull()
+    expect(result.bits.slice(0, bits.length)).toEqual(bits)
+  })
+
+  it('fails calibration on a camera that cannot tell the colours apart', () => {
+    const monochrome = (screen) => {
+      const level = 20 + 200 * (screen[0] + screen[1] + screen[2]) / 3
+      return [level, level, level]
+    }
+    const result = demodulate([1, 0, 1], monochrome)
+    expect(result.demodulator.error).toMatch(/calibration failed/)
+  })
+})
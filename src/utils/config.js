@@ -0,0 +1,62 @@
+/**
+ * Configuration
+ *
+ * Timing and tuning values shared by the transmitters, the receivers and
+ * their helpers. Imports nothing, so any module can read it without import
+ * cycles.
+ */
+
+// Configurable timing values (in milliseconds)
+export const TIMING_CONFIG = {
+  START_DURATION: 1000,    // Duration of START signal
+  BIT_DURATION: 300,       // Duration of each bit (the rate negotiation may agree on a shorter one)
+  END_DURATION: 1000,      // Duration of END signal
+  SAMPLE_INTERVAL: 33,     // Target 30 fps sampling (1000/30 ≈ 33ms); receivers sample every camera frame
+  BRIGHTNESS_CHANGE_THRESHOLD: 50, // Fixed brightness change for isLightOn (0-255); receivers learn levels instead
+  BASELINE_SAMPLES: 30,    // Number of samples to calculate baseline brightness (1 second at 30fps)
+  RESPONSE_DELAY: 3000,    // Delay between receiving challenge and sending response (ms)
+  CHALLENGE_VALIDITY: 10000, // Slack the gate allows for a response on top of RESPONSE_DELAY and the response's flash time (ms)
+  RATE_PROBE_DURATION: 1000, // Time spent measuring camera and display rates for rate negotiation (ms)
+  SAMPLES_PER_BIT: 4,      // Camera samples each bit needs at the negotiated rate (doubled for Manchester)
+  MIN_BIT_DURATION: 50,    // Shortest bit duration rate negotiation may agree on (ms)
+  DUPLEX: false,           // Full duplex: gate and phone transmit on different colour channels at the same time
+  GATE_CHANNEL: 'red',     // Colour channel the gate transmits on in full duplex (see CHANNEL in flashSequence.js)
+  PHONE_CHANNEL: 'blue',   // Colour channel the phone transmits on in full duplex
+  LINE_CODING: 'nrz',      // 'nrz' or 'manchester' (self-clocking, see lineCoding.js)
+  BIT_SAMPLING: 'integrate', // How NRZ bits are decided from their frames: 'integrate', 'majority' or 'midpoint' (see bitSampler.js)
+  MODULATION: 'ook',       // 'ook' (white/black), 'csk' (3 bits per symbol over R, G, B, see colorShiftKeying.js), 'pam4' (2 bits per grey level, see pulseAmplitude.js) or 'grid' (1 bit per tile, see tileGrid.js)
+  GRID_COLS: 6,            // Tile grid columns (the four corners are fiducials)
+  GRID_ROWS: 6,            // Tile grid rows
+  GRID_SAMPLE_WIDTH: 160,  // Width the camera frame is scaled to for tile sampling (pixels)
+  SYNC_MODE: 'pulse',      // Preamble: 'pulse' (START_DURATION ON) or 'barker13' (see syncWord.js)
+  SYNC_CHIP_DURATION: 150, // Duration of each Barker-13 chip (ms)
+  SYNC_THRESHOLD: 0.75,    // Minimum normalized correlation to accept a sync word (0-1)
+  START_TOLERANCE: 0.1,    // Accept a START pulse this much shorter than START_DURATION (fraction)
+  MAX_CLOCK_DRIFT: 0.1,    // Largest clock rate mismatch the bit clock corrects for (fraction, see bitClock.js)
+  MIN_LEVEL_CONTRAST: 12,  // Smallest rise above the baseline accepted as a START (0-255, see levelDetector.js)
+  LEVEL_NOISE_FACTOR: 5,   // START must also be this many times the baseline noise above the baseline
+  LEVEL_HYSTERESIS: 0.15,  // Hysteresis around the ON/OFF midpoint (fraction of the ON/OFF gap)
+  LEVEL_TRACKING_RATE: 0.05, // Smoothing rate for baseline drift and ON/OFF level tracking (0-1)
+  FLICKER_FILTER: 'none',  // Mains flicker filter: 'none', 'boxcar' or 'median' (see flickerFilter.js)
+  FLICKER_WINDOW: 100,     // Flicker filter window (ms); one alias period (100 Hz at 30 fps = 100ms) for boxcar
+  EXPOSURE_COMPENSATION: 'none', // 'none', 'difference' or 'ratio' of ROI vs reference ring (see exposureCompensation.js)
+  REFERENCE_RING_SCALE: 2, // Outer edge of the reference ring, as a multiple of the ROI size
+  LOCATE_EMITTER: true,    // Find and track the blinking source instead of sampling the frame centre (see emitterLocator.js)
+  LOCATOR_GRID_COLS: 16,   // Emitter locator grid columns
+  LOCATOR_GRID_ROWS: 12,   // Emitter locator grid rows
+  LOCATOR_WINDOW: 2000,    // History used for per-block temporal variance (ms)
+  LOCATOR_MIN_CONTRAST: 8, // Minimum standard deviation of the emitter block (0-255)
+  SIGNAL_WINDOW: 2000,     // Window for the peak contrast reported by getSignalInfo (ms)
+  SATURATION_LEVEL: 250,   // ROI brightness at which the camera is treated as clipping (0-255)
+  ROLLING_SHUTTER: false,  // Decode kHz LED stripes from the row profile of each frame (see rollingShutter.js)
+  RS_HALF_BIT_DURATION: 0.25, // Duration of each Manchester half-bit in rolling-shutter mode (ms)
+  RS_PROFILE_WIDTH: 32,    // Width the camera frame is squeezed to for the row profile (pixels)
+  RS_THRESHOLD_WINDOW: 96, // Rows around each row searched for the stripe levels it is sliced between
+  RS_MIN_VOTES: 2,         // Frames that must agree on every bit before a stripe frame is accepted
+  WORKER_SAMPLING: true,   // Sample camera frames in a Worker when supported (see frameSampler.js)
+  WORKER_FRAME_WIDTH: 320, // Width the Worker downscales camera frames to (pixels)
+  FRONT_CAMERA: false,     // Phone receives with the front camera, so the screen faces the gate throughout (see selfInterference.js)
+  SELF_EMIT_LATENCY: 20,   // Time from painting a flash step to the phone's camera seeing it (ms)
+  SELF_GUARD_TIME: 50,     // Frames this close to one of the phone's own transitions are not learned from (ms)
+  SELF_COUPLING_ESTIMATES: 31 // Own-transition estimates the self-interference coupling is the median of
+}
@@ -0,0 +1,39 @@
+/**
+ * CRC Utility
+ *
+ * Checksums used to detect corrupted optical frames.
+ * - CRC-8: polynomial 0x07, init 0x00 (CRC-8/SMBUS)
+ * - CRC-16: polynomial 0x1021, init 0xFFFF (CRC-16/CCITT-FALSE)
+ */
+
+/**
+ * Compute CRC-8 over a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} CRC value (0-255)
+ */
+export function crc8(bytes) {
+  let crc = 0x00
+  for (const byte of bytes) {
+    crc ^= byte
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff
+    }
+  }
+  return crc
+}
+
+/**
+ * Compute CRC-16 over a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} CRC value (0-65535)
+ */
+export function crc16(bytes) {
+  let crc = 0xffff
+  for (const byte of bytes) {
+    crc ^= byte << 8
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+    }
+  }
+  return crc
+}
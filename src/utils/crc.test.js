@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest'
+import { crc8, crc16 } from './crc'
+
+// Standard check input: the ASCII digits 1-9
+const CHECK_INPUT = new TextEncoder().encode('123456789')
+
+describe('crc8', () => {
+  it('matches the CRC-8/SMBUS check value', () => {
+    expect(crc8(CHECK_INPUT)).toBe(0xf4)
+  })
+
+  it('is zero for no data', () => {
+    expect(crc8(new Uint8Array())).toBe(0x00)
+  })
+})
+
+describe('crc16', () => {
+  it('matches the CRC-16/CCITT-FALSE check value', () => {
+    expect(crc16(CHECK_INPUT)).toBe(0x29b1)
+  })
+
+  it('is the initial value for no data', () => {
+    expect(crc16(new Uint8Array())).toBe(0xffff)
+  })
+})
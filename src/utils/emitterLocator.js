@@ -0,0 +1,293 @@
+/**
+ * Emitter Locator Utility
+ *
+ * Finds the blinking source in the camera frame instead of assuming it sits
+ * in the central 20%. Each frame is reduced to a coarse grid of block means;
+ * the locator keeps a short history per block and picks the block with the
+ * strongest temporal variation (the emitter blinks, the wall doesn't). The
+ * ROI is that block plus its strongly varying neighbours, and it follows the
+ * hot block as the phone moves.
+ */
+
+import { calculateBrightness } from './brightness'
+import { TIMING_CONFIG } from './config'
+import { CENTER_REGION } from './exposureCompensation'
+import { CHANNEL } from './flashSequence'
+import { fitCanvas } from './frameSampler'
+
+// Pixels per block side when the frame is downscaled for the grid
+const BLOCK_PIXELS = 8
+
+// The hot block must vary this many times more than a typical block
+const NOISE_RATIO = 3
+
+// Neighbours varying at least this fraction of the hot block join the ROI
+const NEIGHBOUR_FRACTION = 0.5
+
+// Neighbours further than this (in blocks) from the hot block are ignored
+const NEIGHBOUR_RADIUS = 2
+
+/**
+ * Reduce a video frame to a grid of block mean brightness values
+ * @param {HTMLVideoElement} video - Video element to sample from
+ * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+ * @param {number} cols - Grid columns
+ * @param {number} rows - Grid rows
+ * @param {string} channel - Colour channel to measure, one of CHANNEL (defaults to all three)
+ * @returns {Float32Array|null} Block means (row-major, 0-255), null if no frame is available
+ */
+export function sampleBlockGrid(video, canvas, cols, rows, channel = CHANNEL.WHITE) {
+  if (!video || !canvas || video.readyState !== video.HAVE_ENOUGH_DATA) {
+    return null
+  }
+
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return null
+
+  // Downscale the frame; the browser does most of the averaging
+  const width = cols * BLOCK_PIXELS
+  const height = rows * BLOCK_PIXELS
+  fitCanvas(canvas, width, height)
+  ctx.drawImage(video, 0, 0, width, height)
+  const { data } = ctx.getImageData(0, 0, width, height)
+
+  const blocks = new Float32Array(cols * rows)
+  for (let y = 0; y < height; y++) {
+    const rowOffset = Math.floor(y / BLOCK_PIXELS) * cols
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4
+      blocks[rowOffset + Math.floor(x / BLOCK_PIXELS)] += calculateBrightness(data[i], data[i + 1], data[i + 2], channel)
+    }
+  }
+  for (let b = 0; b < blocks.length; b++) {
+    blocks[b] /= BLOCK_PIXELS * BLOCK_PIXELS
+  }
+  return blocks
+}
+
+/**
+ * Emitter Locator Class
+ * Tracks per-block temporal variance and maintains the emitter ROI
+ */
+export class EmitterLocator {
+  /**
+   * @param {Object} options - Locator options
+   * @param {number} options.cols - Grid columns (defaults to TIMING_CONFIG.LOCATOR_GRID_COLS)
+   * @param {number} options.rows - Grid rows (defaults to TIMING_CONFIG.LOCATOR_GRID_ROWS)
+   * @param {number} options.window - History length used for the variance (ms)
+   * @param {number} options.minContrast - Minimum standard deviation of the hot block (0-255)
+   * @param {string} options.channel - Colour channel to measure, one of CHANNEL (defaults to all three)
+   */
+  constructor(options = {}) {
+    const {
+      cols = TIMING_CONFIG.LOCATOR_GRID_COLS,
+      rows = TIMING_CONFIG.LOCATOR_GRID_ROWS,
+      window = TIMING_CONFIG.LOCATOR_WINDOW,
+      minContrast = TIMING_CONFIG.LOCATOR_MIN_CONTRAST,
+      channel = CHANNEL.WHITE,
+    } = options
+
+    this.cols = cols
+    this.rows = rows
+    this.window = window
+    this.minContrast = minContrast
+    this.channel = channel
+    this.reset()
+  }
+
+  /**
+   * Forget the history and go back to the central ROI
+   */
+  reset() {
+    this.history = [] // { time, blocks }, oldest first
+    this.sums = new Float64Array(this.cols * this.rows)
+    this.squares = new Float64Array(this.cols * this.rows)
+    this.box = this.regionToBox(CENTER_REGION)
+    this.located = false
+  }
+
+  /**
+   * Current ROI as fractions of the frame
+   * @returns {Object} { x, y, width, height }
+   */
+  get roi() {
+    return {
+      x: this.box.col / this.cols,
+      y: this.box.row / this.rows,
+      width: this.box.cols / this.cols,
+      height: this.box.rows / this.rows
+    }
+  }
+
+  /**
+   * Grab a frame from the video into the history
+   * @param {HTMLVideoElement} video - Video element to sample from
+   * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+   * @param {number} now - Frame time (ms)
+   * @returns {Float32Array|null} Block means of the frame, null if no frame is available
+   */
+  capture(video, canvas, now) {
+    const blocks = sampleBlockGrid(video, canvas, this.cols, this.rows, this.channel)
+    if (blocks) {
+      this.addFrame(blocks, now)
+    }
+    return blocks
+  }
+
+  /**
+   * Add a frame of block means to the history
+   * @param {Float32Array} blocks - Block means (row-major)
+   * @param {number} now - Frame time (ms)
+   */
+  addFrame(blocks, now) {
+    this.history.push({ time: now, blocks })
+    for (let b = 0; b < blocks.length; b++) {
+      this.sums[b] += blocks[b]
+      this.squares[b] += blocks[b] * blocks[b]
+    }
+
+    while (this.history.length > 1 && this.history[0].time < now - this.window) {
+      const old = this.history.shift().blocks
+      for (let b = 0; b < old.length; b++) {
+        this.sums[b] -= old[b]
+        this.squares[b] -= old[b] * old[b]
+      }
+    }
+  }
+
+  /**
+   * Re-evaluate the ROI from the block variances
+   * @param {boolean} allowJump - Allow moving anywhere in the frame; otherwise only small moves are tracked
+   * @returns {boolean} true if the ROI changed
+   */
+  locate(allowJump = true) {
+    const count = this.history.length
+    if (count < 3) return false
+
+    const deviations = new Float64Array(this.sums.length)
+    let hot = 0
+    for (let b = 0; b < deviations.length; b++) {
+      const mean = this.sums[b] / count
+      deviations[b] = Math.sqrt(Math.max(0, this.squares[b] / count - mean * mean))
+      if (deviations[b] > deviations[hot]) hot = b
+    }
+
+    // The hot block must clearly stand out from the rest of the frame
+    // (global changes such as auto-exposure make every block vary)
+    const sorted = Array.from(deviations).sort((a, b) => a - b)
+    const typical = sorted[Math.floor(sorted.length / 2)]
+    if (deviations[hot] < this.minContrast || deviations[hot] < NOISE_RATIO * typical) {
+      return false
+    }
+
+    const hotCol = hot % this.cols
+    const hotRow = Math.floor(hot / this.cols)
+
+    // Keep the ROI while the hot block is inside it, so it does not flap
+    if (this.located && this.contains(this.box, hotCol, hotRow)) {
+      return false
+    }
+
+    // While reading, only follow small moves (the hot block next to the ROI)
+    if (this.located && !allowJump && !this.contains(this.grow(this.box, 1), hotCol, hotRow)) {
+      return false
+    }
+
+    // ROI: bounding box of strongly varying blocks around the hot block
+    let minCol = hotCol
+    let maxCol = hotCol
+    let minRow = hotRow
+    let maxRow = hotRow
+    for (let row = Math.max(0, hotRow - NEIGHBOUR_RADIUS); row <= Math.min(this.rows - 1, hotRow + NEIGHBOUR_RADIUS); row++) {
+      for (let col = Math.max(0, hotCol - NEIGHBOUR_RADIUS); col <= Math.min(this.cols - 1, hotCol + NEIGHBOUR_RADIUS); col++) {
+        if (deviations[row * this.cols + col] >= NEIGHBOUR_FRACTION * deviations[hot]) {
+          minCol = Math.min(minCol, col)
+          maxCol = Math.max(maxCol, col)
+          minRow = Math.min(minRow, row)
+          maxRow = Math.max(maxRow, row)
+        }
+      }
+    }
+
+    this.box = { col: minCol, row: minRow, cols: maxCol - minCol + 1, rows: maxRow - minRow + 1 }
+    this.located = true
+    return true
+  }
+
+  /**
+   * Mean brightness of the ROI and of the reference ring around it
+   * @param {Float32Array} blocks - Block means (defaults to the latest frame)
+   * @param {number} ringScale - Outer edge of the ring, as a multiple of the ROI size
+   * @returns {Object|null} { roi, ring } (0-255), null before the first frame
+   */
+  measure(blocks = this.history[this.history.length - 1]?.blocks, ringScale = TIMING_CONFIG.REFERENCE_RING_SCALE) {
+    if (!blocks) return null
+
+    const margin = Math.max(1, Math.ceil((Math.max(this.box.cols, this.box.rows) * (ringScale - 1)) / 2))
+    const outer = this.grow(this.box, margin)
+    let roiSum = 0
+    let roiCount = 0
+    let ringSum = 0
+    let ringCount = 0
+
+    for (let row = outer.row; row < outer.row + outer.rows; row++) {
+      for (let col = outer.col; col < outer.col + outer.cols; col++) {
+        const value = blocks[row * this.cols + col]
+        if (this.contains(this.box, col, row)) {
+          roiSum += value
+          roiCount++
+        } else {
+          ringSum += value
+          ringCount++
+        }
+      }
+    }
+
+    const roi = roiSum / roiCount
+    return { roi, ring: ringCount > 0 ? ringSum / ringCount : roi }
+  }
+
+  /**
+   * Convert a fractional region to a block box
+   * @param {Object} region - { x, y, width, height } as fractions of the frame
+   * @returns {Object} { col, row, cols, rows }
+   */
+  regionToBox(region) {
+    const col = Math.floor(region.x * this.cols)
+    const row = Math.floor(region.y * this.rows)
+    return {
+      col,
+      row,
+      cols: Math.max(1, Math.ceil((region.x + region.width) * this.cols) - col),
+      rows: Math.max(1, Math.ceil((region.y + region.height) * this.rows) - row)
+    }
+  }
+
+  /**
+   * Expand a box by a number of blocks on every side (clipped to the grid)
+   * @param {Object} box - { col, row, cols, rows }
+   * @param {number} blocks - Blocks to add on each side
+   * @returns {Object} Expanded box
+   */
+  grow(box, blocks) {
+    const col = Math.max(0, box.col - blocks)
+    const row = Math.max(0, box.row - blocks)
+    return {
+      col,
+      row,
+      cols: Math.min(this.cols, box.col + box.cols + blocks) - col,
+      rows: Math.min(this.rows, box.row + box.rows + blocks) - row
+    }
+  }
+
+  /**
+   * Whether a block lies inside a box
+   * @param {Object} box - { col, row, cols, rows }
+   * @param {number} col - Block column
+   * @param {number} row - Block row
+   * @returns {boolean}
+   */
+  contains(box, col, row) {
+    return col >= box.col && col < box.col + box.cols && row >= box.row && row < box.row + box.rows
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Exposure Compensation Utility
+ *
+ * Phone cameras run auto-exposure: when the gate screen goes white the whole
+ * frame darkens within a few hundred milliseconds, so the absolute ROI
+ * brightness sags during long runs of 1-bits. Measuring the emitter ROI
+ * against a reference ring around it cancels those global changes:
+ * - difference: ROI - ring, removes shared offsets (ambient, black level)
+ * - ratio: ROI / ring, also removes shared gain (exposure, ISO); reported
+ *   in percent so the level thresholds keep working in similar units
+ */
+
+import { calculateBrightness } from './brightness'
+import { TIMING_CONFIG } from './config'
+import { CHANNEL } from './flashSequence'
+import { fitCanvas } from './frameSampler'
+
+// Supported compensation modes
+export const EXPOSURE_COMPENSATION = {
+  NONE: 'none',
+  DIFFERENCE: 'difference',
+  RATIO: 'ratio'
+}
+
+// Default ROI: central 20% of the frame (fractions of width/height)
+export const CENTER_REGION = { x: 0.4, y: 0.4, width: 0.2, height: 0.2 }
+
+// Ratio output scale: ROI as a percentage of the ring
+const RATIO_SCALE = 100
+
+/**
+ * Measure mean brightness of a region and of the ring around it
+ * @param {HTMLVideoElement} video - Video element to sample from
+ * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+ * @param {Object} region - ROI { x, y, width, height } as fractions of the frame
+ * @param {number} ringScale - Outer edge of the ring, as a multiple of the ROI size
+ * @param {string} channel - Colour channel to measure, one of CHANNEL (defaults to all three)
+ * @returns {Object|null} { roi, ring } mean brightness (0-255), null if no frame is available
+ */
+export function measureRegion(video, canvas, region = CENTER_REGION, ringScale = TIMING_CONFIG.REFERENCE_RING_SCALE, channel = CHANNEL.WHITE) {
+  if (!video || !canvas || video.readyState !== video.HAVE_ENOUGH_DATA) {
+    return null
+  }
+
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return null
+
+  // Draw current video frame to canvas
+  fitCanvas(canvas, video.videoWidth, video.videoHeight)
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height)
+
+  // ROI and ring rectangles in pixels (ring clipped to the frame)
+  const roiX = Math.round(region.x * canvas.width)
+  const roiY = Math.round(region.y * canvas.height)
+  const roiW = Math.max(1, Math.round(region.width * canvas.width))
+  const roiH = Math.max(1, Math.round(region.height * canvas.height))
+  const ringX = Math.max(0, Math.round(roiX - (roiW * (ringScale - 1)) / 2))
+  const ringY = Math.max(0, Math.round(roiY - (roiH * (ringScale - 1)) / 2))
+  const ringW = Math.min(canvas.width - ringX, Math.round(roiW * ringScale))
+  const ringH = Math.min(canvas.height - ringY, Math.round(roiH * ringScale))
+
+  // One read covers both: the ring is everything outside the ROI
+  const imageData = ctx.getImageData(ringX, ringY, ringW, ringH)
+  let roiSum = 0
+  let roiCount = 0
+  let ringSum = 0
+  let ringCount = 0
+
+  for (let row = 0; row < ringH; row++) {
+    const y = ringY + row
+    for (let col = 0; col < ringW; col++) {
+      const x = ringX + col
+      const i = (row * ringW + col) * 4
+      const brightness = calculateBrightness(imageData.data[i], imageData.data[i + 1], imageData.data[i + 2], channel)
+      if (x >= roiX && x < roiX + roiW && y >= roiY && y < roiY + roiH) {
+        roiSum += brightness
+        roiCount++
+      } else {
+        ringSum += brightness
+        ringCount++
+      }
+    }
+  }
+
+  const roi = roiCount > 0 ? roiSum / roiCount : 0
+  return { roi, ring: ringCount > 0 ? ringSum / ringCount : roi }
+}
+
+/**
+ * Combine ROI and ring brightness into one exposure-independent value
+ * @param {Object} measurement - { roi, ring } from measureRegion
+ * @param {string} mode - One of EXPOSURE_COMPENSATION
+ * @returns {number} Compensated brightness
+ */
+export function compensateExposure(measurement, mode) {
+  const { roi, ring } = measurement
+  if (mode === EXPOSURE_COMPENSATION.DIFFERENCE) {
+    return roi - ring
+  }
+  if (mode === EXPOSURE_COMPENSATION.RATIO) {
+    return (RATIO_SCALE * roi) / Math.max(ring, 1)
+  }
+  return roi
+}
+
+/**
+ * Sample the central ROI relative to its reference ring
+ * @param {HTMLVideoElement} video - Video element to sample from
+ * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+ * @param {string} mode - One of EXPOSURE_COMPENSATION
+ * @param {string} channel - Colour channel to measure, one of CHANNEL (defaults to all three)
+ * @returns {number} Compensated brightness (0 if no frame is available)
+ */
+export function sampleReferencedBrightness(video, canvas, mode, channel = CHANNEL.WHITE) {
+  const measurement = measureRegion(video, canvas, CENTER_REGION, TIMING_CONFIG.REFERENCE_RING_SCALE, channel)
+  return measurement ? compensateExposure(measurement, mode) : 0
+}
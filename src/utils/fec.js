@@ -0,0 +1,76 @@
+/**
+ * Forward Error Correction Utility
+ *
+ * Hamming(7,4) code: every 4 data bits are sent as 7 code bits and any
+ * single flipped bit within a 7-bit block is repaired by the receiver.
+ *
+ * Block layout (positions 1-7): p1 p2 d1 p3 d2 d3 d4
+ */
+
+// Supported FEC schemes
+export const FEC_SCHEMES = {
+  NONE: 'none',
+  HAMMING_7_4: 'hamming74'
+}
+
+/**
+ * Encode 4 data bits into a 7-bit Hamming block
+ * @param {Array<number>} data - 4 data bits [d1, d2, d3, d4]
+ * @returns {Array<number>} 7 code bits
+ */
+export function hammingEncodeBlock(data) {
+  const [d1, d2, d3, d4] = data
+  const p1 = d1 ^ d2 ^ d4
+  const p2 = d1 ^ d3 ^ d4
+  const p3 = d2 ^ d3 ^ d4
+  return [p1, p2, d1, p3, d2, d3, d4]
+}
+
+/**
+ * Decode a 7-bit Hamming block, correcting a single bit error
+ * @param {Array<number>} code - 7 code bits
+ * @returns {Object} { data: 4 data bits, corrected: true if a bit was repaired }
+ */
+export function hammingDecodeBlock(code) {
+  const block = code.slice()
+  const s1 = block[0] ^ block[2] ^ block[4] ^ block[6]
+  const s2 = block[1] ^ block[2] ^ block[5] ^ block[6]
+  const s3 = block[3] ^ block[4] ^ block[5] ^ block[6]
+  // Syndrome is the 1-based position of the flipped bit (0 = no error)
+  const syndrome = s1 | (s2 << 1) | (s3 << 2)
+
+  if (syndrome !== 0) {
+    block[syndrome - 1] ^= 1
+  }
+
+  return {
+    data: [block[2], block[4], block[5], block[6]],
+    corrected: syndrome !== 0
+  }
+}
+
+/**
+ * Encode a bit array with Hamming(7,4)
+ * @param {Array<number>} bits - Data bits (length must be a multiple of 4)
+ * @returns {Array<number>} Code bits (7 per 4 data bits)
+ */
+export function hammingEncode(bits) {
+  if (bits.length % 4 !== 0) {
+    throw new Error(`Hamming(7,4) needs a multiple of 4 data bits, got ${bits.length}`)
+  }
+  const coded = []
+  for (let i = 0; i < bits.length; i += 4) {
+    coded.push(...hammingEncodeBlock(bits.slice(i, i + 4)))
+  }
+  return coded
+}
+
+/**
+ * Number of code bits sent for a number of data bits
+ * @param {number} dataBits - Data bit count
+ * @param {string} scheme - One of FEC_SCHEMES
+ * @returns {number} Code bit count
+ */
+export function codedLength(dataBits, scheme) {
+  return scheme === FEC_SCHEMES.HAMMING_7_4 ? (dataBits / 4) * 7 : dataBits
+}
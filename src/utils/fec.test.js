@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { codedLength, FEC_SCHEMES, hammingDecodeBlock, hammingEncode, hammingEncodeBlock } from './fec'
+import { encodeFrame, FrameReader } from './framing'
+
+/**
+ * All 16 values of a 4-bit data block
+ * @returns {Array<Array<number>>} Data blocks [d1, d2, d3, d4]
+ */
+function allBlocks() {
+  return Array.from({ length: 16 }, (_, value) => [3, 2, 1, 0].map((shift) => (value >> shift) & 1))
+}
+
+describe('Hamming(7,4)', () => {
+  it('decodes every block unchanged when no bit is flipped', () => {
+    for (const data of allBlocks()) {
+      expect(hammingDecodeBlock(hammingEncodeBlock(data))).toEqual({ data, corrected: false })
+    }
+  })
+
+  it('repairs any single flipped bit in a block', () => {
+    for (const data of allBlocks()) {
+      const code = hammingEncodeBlock(data)
+      for (let i = 0; i < code.length; i++) {
+        const corrupted = [...code]
+        corrupted[i] ^= 1
+        expect(hammingDecodeBlock(corrupted)).toEqual({ data, corrected: true })
+      }
+    }
+  })
+
+  it('sends 7 code bits per 4 data bits', () => {
+    expect(hammingEncode([1, 0, 1, 1, 0, 0, 1, 0])).toHaveLength(14)
+    expect(codedLength(40, FEC_SCHEMES.HAMMING_7_4)).toBe(70)
+    expect(codedLength(40, FEC_SCHEMES.NONE)).toBe(40)
+    expect(() => hammingEncode([1, 0, 1])).toThrow()
+  })
+
+  it('lets FrameReader correct one flipped bit per block of a frame', () => {
+    const payload = new Uint8Array([0x12, 0x34, 0x56, 0x78])
+    const bits = encodeFrame(payload, { fec: FEC_SCHEMES.HAMMING_7_4 })
+    // Flip a different position in every block
+    const corrupted = bits.map((bit, i) => (i % 7 === Math.floor(i / 7) % 7 ? bit ^ 1 : bit))
+    const blocks = bits.length / 7
+
+    const reader = new FrameReader({ fec: FEC_SCHEMES.HAMMING_7_4 })
+    corrupted.forEach((bit) => reader.push(bit))
+    expect(reader.error).toBeNull()
+    expect(reader.corrections).toBe(blocks)
+    expect(Array.from(reader.payload)).toEqual(Array.from(payload))
+  })
+})
@@ -0,0 +1,208 @@
+/**
+ * Flash Sequence Utility
+ *
+ * Builds the preamble + frame bits + END step list shared by the gate sender
+ * and the phone screen flasher, so both transmitters emit identical frames.
+ * The preamble is either the START pulse or a Barker-13 sync word; with
+ * colour-shift keying it is followed by the colour calibration symbols, with
+ * 4-PAM by the level-training symbols, and with the tile grid by the grid
+ * training patterns. For full duplex the whole sequence can be restricted
+ * to one colour channel, so gate and phone can transmit at the same time.
+ */
+
+import { CSK_CALIBRATION, encodeCskSymbols } from './colorShiftKeying'
+import { TIMING_CONFIG } from './config'
+import { encodeFrame } from './framing'
+import { encodeLine } from './lineCoding'
+import { encodePamSymbols, PAM4_LEVELS } from './pulseAmplitude'
+import { encodeTileSymbols } from './tileGrid'
+import { buildSyncPreamble, SYNC_MODE } from './syncWord'
+
+// Supported modulations
+export const MODULATION = {
+  OOK: 'ook',   // On-off keying: white/black, one bit per symbol
+  CSK: 'csk',   // Colour-shift keying: R, G, B on/off, three bits per symbol (see colorShiftKeying.js)
+  PAM4: 'pam4', // Four grey levels, two bits per symbol (see pulseAmplitude.js)
+  GRID: 'grid'  // Grid of blinking tiles, one bit per tile (see tileGrid.js)
+}
+
+// Colour channels a transmitter can be restricted to (full duplex: gate and phone on different channels)
+export const CHANNEL = {
+  WHITE: 'white', // All three channels (half duplex)
+  RED: 'red',
+  GREEN: 'green',
+  BLUE: 'blue'
+}
+
+// Red, green and blue components used by each channel
+export const CHANNEL_MASKS = {
+  [CHANNEL.WHITE]: [1, 1, 1],
+  [CHANNEL.RED]: [1, 0, 0],
+  [CHANNEL.GREEN]: [0, 1, 0],
+  [CHANNEL.BLUE]: [0, 0, 1]
+}
+
+// Screen colors for each light state
+export const FLASH_COLORS = {
+  ON: '#FFFFFF',  // White = ON
+  OFF: '#000000'  // Black = OFF
+}
+
+/**
+ * Restrict a screen color to one colour channel
+ * @param {string} color - Hex color (#RRGGBB)
+ * @param {string} channel - One of CHANNEL
+ * @returns {string} Hex color with the other channels turned off
+ */
+export function tintColor(color, channel) {
+  const mask = CHANNEL_MASKS[channel] ?? CHANNEL_MASKS[CHANNEL.WHITE]
+  return '#' + mask.map((on, c) => (on ? color.substr(1 + 2 * c, 2) : '00')).join('')
+}
+
+/**
+ * Build the multi-bit symbol steps: training preamble, then frame bits
+ * @param {Array<number>} bits - Frame bits
+ * @param {string} modulation - MODULATION.CSK or MODULATION.PAM4
+ * @param {number} symbolDuration - Duration of each symbol (ms)
+ * @returns {Array<Object>} Steps with color, duration (ms) and description
+ */
+function buildSymbolSteps(bits, modulation, symbolDuration) {
+  const isCsk = modulation === MODULATION.CSK
+  // Colour-shift keying: color calibration, then three frame bits per color
+  // 4-PAM: level training, then two frame bits per grey level
+  const training = isCsk ? CSK_CALIBRATION : PAM4_LEVELS
+  const symbols = isCsk ? encodeCskSymbols(bits, symbolDuration) : encodePamSymbols(bits, symbolDuration)
+  const trainingName = isCsk ? 'color calibration' : 'level training'
+
+  return [
+    ...training.map((color, i) => ({
+      color,
+      duration: symbolDuration,
+      description: `Sending ${trainingName} (${i + 1}/${training.length})`
+    })),
+    ...symbols.map((symbol) => ({
+      color: symbol.color,
+      duration: symbol.duration,
+      description: `Sending bits ${symbol.bitIndex + 1}-${Math.min(symbol.bitIndex + symbol.bits.length, bits.length)}/${bits.length}: ${symbol.bits.join('')}`
+    }))
+  ]
+}
+
+/**
+ * Build the tile grid steps: grid training patterns, then one frame bit per data tile
+ * @param {Array<number>} bits - Frame bits
+ * @param {number} symbolDuration - Duration of each symbol (ms)
+ * @returns {Array<Object>} Steps with color, tiles, cols, rows, duration (ms) and description
+ */
+function buildTileSteps(bits, symbolDuration) {
+  const cols = TIMING_CONFIG.GRID_COLS
+  const rows = TIMING_CONFIG.GRID_ROWS
+  const { training, symbols } = encodeTileSymbols(bits, cols, rows)
+
+  return [
+    ...training.map((tiles, i) => ({
+      color: FLASH_COLORS.OFF,
+      tiles,
+      cols,
+      rows,
+      duration: symbolDuration,
+      description: `Sending grid training (${i + 1}/${training.length})`
+    })),
+    ...symbols.map((symbol) => ({
+      color: FLASH_COLORS.OFF,
+      tiles: symbol.tiles,
+      cols,
+      rows,
+      duration: symbolDuration,
+      description: `Sending bits ${symbol.bitIndex + 1}-${symbol.bitIndex + symbol.bits.length}/${bits.length}`
+    }))
+  ]
+}
+
+/**
+ * Build the steps that carry the frame bits for the selected modulation
+ * @param {Array<number>} bits - Frame bits
+ * @param {Object} options - Transmission options (modulation, lineCoding, bitDuration), see buildFlashSequence
+ * @returns {Array<Object>} Steps with color, duration (ms) and description
+ */
+function buildFrameSteps(bits, options) {
+  const modulation = options.modulation ?? TIMING_CONFIG.MODULATION
+  const bitDuration = options.bitDuration ?? TIMING_CONFIG.BIT_DURATION
+  if (modulation === MODULATION.GRID) {
+    return buildTileSteps(bits, bitDuration)
+  }
+  if (modulation === MODULATION.CSK || modulation === MODULATION.PAM4) {
+    return buildSymbolSteps(bits, modulation, bitDuration)
+  }
+
+  // Frame bits: length header + payload + CRC (FEC coded if enabled), line coded
+  return encodeLine(bits, options.lineCoding, bitDuration).map((level) => ({
+    color: level.on ? FLASH_COLORS.ON : FLASH_COLORS.OFF,
+    duration: level.duration,
+    description: level.bitIndex < 0 ? 'Sending guard' : `Sending bit ${level.bitIndex + 1}/${bits.length}: ${level.bit}`
+  }))
+}
+
+/**
+ * Build the flashing sequence for a payload
+ * @param {Uint8Array} payload - Payload bytes to send
+ * @param {Object} options - Transmission options
+ * @param {string} options.fec - FEC scheme, see encodeFrame
+ * @param {string} options.lineCoding - Line code (defaults to TIMING_CONFIG.LINE_CODING)
+ * @param {string} options.syncMode - Preamble (defaults to TIMING_CONFIG.SYNC_MODE)
+ * @param {string} options.modulation - One of MODULATION (defaults to TIMING_CONFIG.MODULATION)
+ * @param {number} options.bitDuration - Duration of each bit or symbol (ms, defaults to TIMING_CONFIG.BIT_DURATION; see rateNegotiation.js)
+ * @param {string} options.channel - One of CHANNEL (defaults to white); colour-shift keying always uses all three
+ * @returns {Array<Object>} Steps with color, duration (ms) and description (tile grid steps also
+ *   carry tiles, cols and rows; show them with paintStep)
+ */
+export function buildFlashSequence(payload, options = {}) {
+  const bits = encodeFrame(payload, options)
+  const syncMode = options.syncMode ?? TIMING_CONFIG.SYNC_MODE
+  const channel = options.channel ?? CHANNEL.WHITE
+
+  const preamble = syncMode === SYNC_MODE.BARKER_13
+    // Sync word: Barker-13 chips
+    ? buildSyncPreamble().map((chip, i, chips) => ({
+      color: chip.on ? FLASH_COLORS.ON : FLASH_COLORS.OFF,
+      duration: chip.duration,
+      description: `Sending sync word (chip ${i + 1}/${chips.length})`
+    }))
+    // START signal: white for START_DURATION
+    : [{
+      color: FLASH_COLORS.ON,
+      duration: TIMING_CONFIG.START_DURATION,
+      description: 'Sending START signal'
+    }]
+
+  const steps = [
+    ...preamble,
+    ...buildFrameSteps(bits, options),
+    // END signal: black for END_DURATION
+    {
+      color: FLASH_COLORS.OFF,
+      duration: TIMING_CONFIG.END_DURATION,
+      description: 'Sending END signal'
+    }
+  ]
+
+  if (channel === CHANNEL.WHITE || (options.modulation ?? TIMING_CONFIG.MODULATION) === MODULATION.CSK) {
+    return steps
+  }
+  // Full duplex: light only this transmitter's channel
+  return steps.map((step) => ({
+    ...step,
+    color: tintColor(step.color, channel),
+    ...(step.tiles ? { tileColor: tintColor(FLASH_COLORS.ON, channel) } : {})
+  }))
+}
+
+/**
+ * Time it takes to flash a payload, preamble and END included
+ * @param {Uint8Array} payload - Payload bytes (only the length matters)
+ * @param {Object} options - Transmission options, see buildFlashSequence
+ * @returns {number} Total duration of the sequence (ms)
+ */
+export function flashDuration(payload, options = {}) {
+  return buildFlashSequence(payload, options).reduce((sum, step) => sum + step.duration, 0)
+}
@@ -0,0 +1,84 @@
+/**
+ * Flicker Filter Utility
+ *
+ * Fluorescent and LED lighting flickers at 100/120 Hz. A 30 fps camera
+ * aliases that down to a few Hz (e.g. 100 Hz → 10 Hz, one cycle every three
+ * frames), which shows up as spurious ON samples. This filter sits between
+ * sampling and level slicing:
+ * - boxcar: average over FLICKER_WINDOW ms; a window of one alias period
+ *   cancels the flicker completely (comb notch)
+ * - median: median over FLICKER_WINDOW ms; rejects short spikes and
+ *   rolling-shutter bands while keeping edges sharp
+ *
+ * Both delay edges by about half the window, equally for every edge, so the
+ * bit clock absorbs it.
+ */
+
+import { TIMING_CONFIG } from './config'
+
+// Supported filters
+export const FLICKER_FILTER = {
+  NONE: 'none',
+  BOXCAR: 'boxcar',
+  MEDIAN: 'median'
+}
+
+/**
+ * Flicker Filter Class
+ * Smooths the brightness stream over a sliding time window
+ */
+export class FlickerFilter {
+  /**
+   * @param {Object} options - Filter options
+   * @param {string} options.mode - One of FLICKER_FILTER (defaults to TIMING_CONFIG.FLICKER_FILTER)
+   * @param {number} options.window - Window length (ms, defaults to TIMING_CONFIG.FLICKER_WINDOW)
+   */
+  constructor(options = {}) {
+    const {
+      mode = TIMING_CONFIG.FLICKER_FILTER,
+      window = TIMING_CONFIG.FLICKER_WINDOW,
+    } = options
+
+    this.mode = mode
+    this.window = window
+    this.reset()
+  }
+
+  /**
+   * Clear the sample window
+   */
+  reset() {
+    this.samples = [] // { time, brightness }, oldest first
+  }
+
+  /**
+   * Feed one brightness sample
+   * @param {number} brightness - Raw sample brightness (0-255)
+   * @param {number} now - Sample time (ms)
+   * @returns {number} Filtered brightness (0-255)
+   */
+  push(brightness, now) {
+    if (this.mode === FLICKER_FILTER.NONE) {
+      return brightness
+    }
+
+    this.samples.push({ time: now, brightness })
+    while (this.samples.length > 1 && this.samples[0].time < now - 2 * this.window) {
+      this.samples.shift()
+    }
+
+    // Use as many frames as fit in the window at the measured frame rate, so
+    // timing jitter does not add or drop a frame and break the cancellation
+    const span = now - this.samples[0].time
+    const frameInterval = this.samples.length > 1 ? span / (this.samples.length - 1) : this.window
+    const count = Math.max(1, Math.min(this.samples.length, Math.round(this.window / frameInterval)))
+    const values = this.samples.slice(-count).map((sample) => sample.brightness)
+    if (this.mode === FLICKER_FILTER.MEDIAN) {
+      values.sort((a, b) => a - b)
+      const middle = Math.floor(values.length / 2)
+      return values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2
+    }
+
+    return values.reduce((a, b) => a + b, 0) / values.length
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Frame Sampler Utility
+ *
+ * Drawing a full camera frame and reading it back with getImageData costs
+ * several milliseconds per frame on the main thread, which low-end phones
+ * cannot spare while the UI animates. The frame sampler instead hands every
+ * frame to a Worker as an ImageBitmap, with a request naming the
+ * measurements the receiver needs (block means, ROI and ring, ROI colour,
+ * grey frame, row profile). The Worker downscales the frame to
+ * WORKER_FRAME_WIDTH pixels with a persistent OffscreenCanvas, runs the
+ * receivers' samplers on it (see samplingWorker.js) and posts back only the
+ * numbers, so the main thread touches no pixels at all.
+ *
+ * One frame is in flight at a time, and each frame keeps the time it was
+ * grabbed, so the bit timing is unaffected by the round trip. Without
+ * Worker, OffscreenCanvas or createImageBitmap support (or if the Worker
+ * fails) the sampler falls back to sampling the video on the main thread.
+ */
+
+import { TIMING_CONFIG } from './config'
+
+/**
+ * Resize a canvas only if its size differs (resizing reallocates and clears it)
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {number} width - Width (pixels)
+ * @param {number} height - Height (pixels)
+ */
+export function fitCanvas(canvas, width, height) {
+  if (canvas.width !== width) canvas.width = width
+  if (canvas.height !== height) canvas.height = height
+}
+
+/**
+ * Check whether this browser can downscale frames in a Worker
+ * @returns {boolean} true if Worker, OffscreenCanvas and createImageBitmap are available
+ */
+export function isWorkerSamplingSupported() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function'
+}
+
+/**
+ * Frame Sampler Class
+ * Moves frame sampling to a Worker and serves the measurements it posts back
+ */
+export class FrameSampler {
+  /**
+   * @param {Object} options - Sampler options
+   * @param {number} options.width - Width frames are downscaled to (pixels, defaults to TIMING_CONFIG.WORKER_FRAME_WIDTH)
+   * @param {boolean} options.fullHeight - Keep every camera row (rolling-shutter row profiles) instead of the aspect ratio
+   */
+  constructor(options = {}) {
+    const {
+      width = TIMING_CONFIG.WORKER_FRAME_WIDTH,
+      fullHeight = false,
+    } = options
+
+    this.width = width
+    this.fullHeight = fullHeight
+    this.worker = null
+    this.failed = !isWorkerSamplingSupported()
+    this.inFlight = false
+    this.latest = null // { time, measured } posted back by the Worker, until taken by next()
+  }
+
+  /**
+   * Start the Worker
+   */
+  start() {
+    if (this.failed || this.worker) return
+
+    try {
+      this.worker = new Worker(new URL('./samplingWorker.js', import.meta.url), { type: 'module' })
+    } catch (err) {
+      this.fail(err)
+      return
+    }
+    this.worker.onmessage = (event) => this.receive(event.data)
+    this.worker.onerror = (event) => this.fail(event)
+
+    this.inFlight = false
+    this.latest = null
+    console.log('[FrameSampler] Sampling frames in a worker')
+  }
+
+  /**
+   * Stop the Worker (frames still in flight are dropped)
+   */
+  stop() {
+    if (this.worker) {
+      this.worker.terminate()
+      this.worker = null
+    }
+    this.inFlight = false
+    this.latest = null
+  }
+
+  /**
+   * Give up on the Worker and sample on the main thread from now on
+   * @param {*} err - What went wrong
+   */
+  fail(err) {
+    console.log('[FrameSampler] Worker sampling unavailable, sampling on the main thread:', err?.message ?? err)
+    this.failed = true
+    this.stop()
+  }
+
+  /**
+   * Hand the current video frame to the Worker and return the newest measurements
+   * @param {HTMLVideoElement} video - Video element to sample from
+   * @param {number} now - Current time (ms)
+   * @param {Object} request - Measurements wanted, see samplingWorker.js
+   * @returns {Object|null} { measured, time }: measured holds the requested measurements (null
+   *   entries when the frame was not ready), time is when the frame was grabbed; null while no
+   *   new frame has come back. After a fallback { source, time } is returned for every call,
+   *   with the video itself to be sampled on the main thread
+   */
+  next(video, now, request) {
+    if (this.failed || !this.worker) {
+      return { source: video, time: now }
+    }
+
+    if (!this.inFlight && video && video.readyState === video.HAVE_ENOUGH_DATA) {
+      this.inFlight = true
+      createImageBitmap(video)
+        .then((bitmap) => {
+          if (!this.worker) {
+            bitmap.close()
+            return
+          }
+          this.worker.postMessage({ bitmap, time: now, width: this.width, fullHeight: this.fullHeight, request }, [bitmap])
+        })
+        .catch((err) => this.fail(err))
+    }
+
+    const latest = this.latest
+    this.latest = null
+    return latest
+  }
+
+  /**
+   * Store the measurements of a frame from the Worker
+   * @param {Object} message - { time, measured }
+   */
+  receive(message) {
+    this.inFlight = false
+    if (!this.worker) return
+    this.latest = message
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Frame Scheduler Utility
+ *
+ * Drives the receivers' sampling loop. requestAnimationFrame fires on every
+ * display refresh: on a 60 Hz screen with a 30 fps camera every camera frame
+ * is sampled twice, and performance.now() says when the display refreshed,
+ * not when the frame was exposed. Where the video element supports
+ * requestVideoFrameCallback the loop runs once per camera frame instead,
+ * timed by the frame's metadata:
+ * - captureTime, when the camera reports it (same clock as performance.now())
+ * - otherwise mediaTime, mapped onto performance.now() at the first frame
+ * - otherwise the callback time
+ * Sources without requestVideoFrameCallback (older browsers, the canvas from
+ * createStripeSource) fall back to requestAnimationFrame and performance.now().
+ */
+
+/**
+ * Check whether a video element can call back once per camera frame
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {boolean} true if requestVideoFrameCallback is available
+ */
+export function supportsVideoFrameCallback(video) {
+  return !!video && typeof video.requestVideoFrameCallback === 'function'
+}
+
+/**
+ * Frame Scheduler Class
+ * Calls back once per camera frame with its capture time
+ */
+export class FrameScheduler {
+  constructor() {
+    this.video = null
+    this.callbackId = null
+    this.videoFrame = false // whether callbackId is a video frame callback
+    this.mediaTimeOffset = null
+  }
+
+  /**
+   * Schedule the callback for the next camera frame (or display refresh in the fallback)
+   * Only one callback is pending at a time; a new request replaces it
+   * @param {HTMLVideoElement} video - Video element the frames come from
+   * @param {Function} callback - Called with the frame time (ms, performance.now() clock)
+   */
+  request(video, callback) {
+    this.cancel()
+    this.video = video
+
+    if (supportsVideoFrameCallback(video)) {
+      this.videoFrame = true
+      this.callbackId = video.requestVideoFrameCallback((now, metadata) => {
+        this.callbackId = null
+        callback(this.frameTime(now, metadata))
+      })
+      return
+    }
+
+    this.videoFrame = false
+    this.callbackId = requestAnimationFrame(() => {
+      this.callbackId = null
+      callback(performance.now())
+    })
+  }
+
+  /**
+   * Cancel the pending callback
+   */
+  cancel() {
+    if (this.callbackId === null) return
+    if (this.videoFrame) {
+      this.video.cancelVideoFrameCallback(this.callbackId)
+    } else {
+      cancelAnimationFrame(this.callbackId)
+    }
+    this.callbackId = null
+  }
+
+  /**
+   * Forget the mediaTime mapping (e.g. when the camera stream changes)
+   */
+  reset() {
+    this.cancel()
+    this.mediaTimeOffset = null
+  }
+
+  /**
+   * Capture time of a camera frame
+   * @param {number} now - Callback time (ms)
+   * @param {Object} metadata - VideoFrameCallbackMetadata
+   * @returns {number} Frame time (ms, performance.now() clock)
+   */
+  frameTime(now, metadata) {
+    if (metadata && typeof metadata.captureTime === 'number') {
+      return metadata.captureTime
+    }
+    if (metadata && typeof metadata.mediaTime === 'number') {
+      // mediaTime counts in seconds from the start of the stream
+      if (this.mediaTimeOffset === null) {
+        this.mediaTimeOffset = now - metadata.mediaTime * 1000
+      }
+      return this.mediaTimeOffset + metadata.mediaTime * 1000
+    }
+    return now
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Framing Utility
+ *
+ * Shared bit-packing and framing used by both transmitters and both receivers.
+ * Frame layout (all fields MSB first):
+ * - LENGTH: 8 bits, number of payload bytes (1-MAX_PAYLOAD_BYTES)
+ * - PAYLOAD: LENGTH bytes
+ * - CRC: CRC-8 for short payloads, CRC-16 for longer ones (see crc.js),
+ *   computed over LENGTH and PAYLOAD
+ *
+ * With FEC enabled the whole frame is Hamming(7,4) coded (see fec.js), so
+ * every 4 frame bits go over the air as 7 code bits.
+ */
+
+import { crc8, crc16 } from './crc'
+import { codedLength, FEC_SCHEMES, hammingDecodeBlock, hammingEncode } from './fec'
+
+// Frame settings
+export const FRAME_CONFIG = {
+  LENGTH_BITS: 8,          // Size of the length header
+  MAX_PAYLOAD_BYTES: 64,   // Largest payload accepted by encoder and decoder
+  CRC16_MIN_PAYLOAD: 9,    // Payloads of this many bytes or more use CRC-16 instead of CRC-8
+  FEC: FEC_SCHEMES.NONE    // Forward error correction: 'none' or 'hamming74'
+}
+
+// Frame error codes, passed to receivers' onError alongside the message
+export const FRAME_ERROR = {
+  INVALID_BIT: 'INVALID_BIT',        // A bit that is neither 0 nor 1
+  INVALID_LENGTH: 'INVALID_LENGTH',  // Length header out of range (often a false START)
+  CHECKSUM: 'CHECKSUM',              // CRC mismatch: frame corrupted in transit
+  INCOMPLETE: 'INCOMPLETE'           // END arrived before the whole frame
+}
+
+/**
+ * Convert a number to a binary array (MSB first)
+ * @param {number} value - Value to convert
+ * @param {number} bitCount - Number of bits to emit (defaults to 8)
+ * @returns {Array<number>} Array of bits (MSB first)
+ */
+export function numberToBits(value, bitCount = 8) {
+  const bits = []
+  for (let i = bitCount - 1; i >= 0; i--) {
+    bits.push((value >> i) & 1)
+  }
+  return bits
+}
+
+/**
+ * Convert a binary array (MSB first) to a number
+ * @param {Array<number>} bits - Bits to convert
+ * @returns {number} Decoded value
+ */
+export function bitsToNumber(bits) {
+  let value = 0
+  for (let i = 0; i < bits.length; i++) {
+    value = (value << 1) | bits[i]
+  }
+  return value >>> 0
+}
+
+/**
+ * Convert bytes to a binary array (MSB first per byte)
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {Array<number>} Array of bits
+ */
+export function bytesToBits(bytes) {
+  const bits = []
+  for (const byte of bytes) {
+    bits.push(...numberToBits(byte, 8))
+  }
+  return bits
+}
+
+/**
+ * Convert a binary array (MSB first per byte) to bytes
+ * @param {Array<number>} bits - Bits to convert (length must be a multiple of 8)
+ * @returns {Uint8Array} Packed bytes
+ */
+export function bitsToBytes(bits) {
+  const bytes = new Uint8Array(Math.floor(bits.length / 8))
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = bitsToNumber(bits.slice(i * 8, i * 8 + 8))
+  }
+  return bytes
+}
+
+/**
+ * Format bytes as a hex string for display and logging
+ * @param {Uint8Array} bytes - Bytes to format
+ * @returns {string} Hex string (e.g. "0a1bff")
+ */
+export function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Compare two byte arrays in constant time (for equal lengths)
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean} True if both arrays hold the same bytes
+ */
+export function bytesEqual(a, b) {
+  if (!a || !b || a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i]
+  }
+  return diff === 0
+}
+
+/**
+ * Get the CRC size used for a payload length
+ * @param {number} payloadLength - Payload size in bytes
+ * @returns {number} CRC size in bits (8 or 16)
+ */
+export function crcBitsFor(payloadLength) {
+  return payloadLength >= FRAME_CONFIG.CRC16_MIN_PAYLOAD ? 16 : 8
+}
+
+/**
+ * Compute the frame CRC over length header and payload
+ * @param {Uint8Array} payload - Payload bytes
+ * @returns {number} CRC value (8 or 16 bits, see crcBitsFor)
+ */
+export function frameCrc(payload) {
+  const covered = new Uint8Array(payload.length + 1)
+  covered[0] = payload.length
+  covered.set(payload, 1)
+  return crcBitsFor(payload.length) === 16 ? crc16(covered) : crc8(covered)
+}
+
+/**
+ * Encode a payload into a frame
+ * @param {Uint8Array} payload - Payload bytes (1-MAX_PAYLOAD_BYTES)
+ * @param {Object} options - Optional overrides
+ * @param {string} options.fec - FEC scheme (defaults to FRAME_CONFIG.FEC)
+ * @returns {Array<number>} Bits to transmit (length header, payload, CRC; FEC coded if enabled)
+ */
+export function encodeFrame(payload, options = {}) {
+  const { fec = FRAME_CONFIG.FEC } = options
+
+  if (!(payload instanceof Uint8Array)) {
+    throw new Error('Frame payload must be a Uint8Array')
+  }
+  if (payload.length < 1 || payload.length > FRAME_CONFIG.MAX_PAYLOAD_BYTES) {
+    throw new Error(`Invalid payload length: ${payload.length} (expected 1-${FRAME_CONFIG.MAX_PAYLOAD_BYTES})`)
+  }
+
+  const bits = [
+    ...numberToBits(payload.length, FRAME_CONFIG.LENGTH_BITS),
+    ...bytesToBits(payload),
+    ...numberToBits(frameCrc(payload), crcBitsFor(payload.length))
+  ]
+
+  return fec === FEC_SCHEMES.HAMMING_7_4 ? hammingEncode(bits) : bits
+}
+
+/**
+ * Frame Reader Class
+ * Incrementally parses frame bits as a receiver reads them.
+ * Once the length header is in, the reader knows how many bits remain.
+ * With FEC enabled, received bits are corrected block by block before parsing
+ * and `corrections` counts the repaired bits.
+ */
+export class FrameReader {
+  /**
+   * @param {Object} options - Reader options
+   * @param {string} options.fec - FEC scheme (defaults to FRAME_CONFIG.FEC)
+   */
+  constructor(options = {}) {
+    this.fec = options.fec ?? FRAME_CONFIG.FEC
+    this.reset()
+  }
+
+  /**
+   * Reset reader to receive a new frame
+   */
+  reset() {
+    this.bits = []        // Bits as received (code bits when FEC is enabled)
+    this.dataBits = []    // Frame bits after error correction
+    this.pendingBlock = []
+    this.corrections = 0
+    this.payloadLength = null
+    this.done = false
+    this.error = null
+    this.errorCode = null
+    this.payload = null
+  }
+
+  /**
+   * Record a frame error
+   * @param {string} code - One of FRAME_ERROR
+   * @param {string} message - Human-readable description
+   */
+  fail(code, message) {
+    this.errorCode = code
+    this.error = message
+  }
+
+  /**
+   * Total number of bits expected over the air for this frame, or null until the header is read
+   * @returns {number|null} Expected frame size in received bits
+   */
+  get expectedBits() {
+    if (this.payloadLength === null) return null
+    return codedLength(this.frameBits, this.fec)
+  }
+
+  /**
+   * Number of frame bits (before FEC coding), or null until the header is read
+   * @returns {number|null} Frame size in bits
+   */
+  get frameBits() {
+    if (this.payloadLength === null) return null
+    return FRAME_CONFIG.LENGTH_BITS + this.payloadLength * 8 + crcBitsFor(this.payloadLength)
+  }
+
+  /**
+   * Add the next received bit
+   * After each push check `done` (payload available) and `error`/`errorCode`
+   * @param {number} bit - Received bit (0 or 1)
+   */
+  push(bit) {
+    if (this.done || this.error) return
+
+    if (bit !== 0 && bit !== 1) {
+      this.fail(FRAME_ERROR.INVALID_BIT, `Invalid bit value at position ${this.bits.length}: ${bit}`)
+      return
+    }
+
+    this.bits.push(bit)
+
+    if (this.fec === FEC_SCHEMES.HAMMING_7_4) {
+      // Collect a whole 7-bit block, then correct it into 4 frame bits
+      this.pendingBlock.push(bit)
+      if (this.pendingBlock.length < 7) return
+      const { data, corrected } = hammingDecodeBlock(this.pendingBlock)
+      this.pendingBlock = []
+      if (corrected) this.corrections++
+      for (const dataBit of data) {
+        this.pushDataBit(dataBit)
+      }
+    } else {
+      this.pushDataBit(bit)
+    }
+  }
+
+  /**
+   * Parse the next (error-corrected) frame bit
+   * @param {number} bit - Frame bit (0 or 1)
+   */
+  pushDataBit(bit) {
+    if (this.done || this.error) return
+
+    this.dataBits.push(bit)
+
+    if (this.payloadLength === null && this.dataBits.length === FRAME_CONFIG.LENGTH_BITS) {
+      const length = bitsToNumber(this.dataBits)
+      if (length < 1 || length > FRAME_CONFIG.MAX_PAYLOAD_BYTES) {
+        this.fail(FRAME_ERROR.INVALID_LENGTH, `Invalid frame length: ${length} (expected 1-${FRAME_CONFIG.MAX_PAYLOAD_BYTES})`)
+        return
+      }
+      this.payloadLength = length
+    }
+
+    if (this.payloadLength !== null && this.dataBits.length === this.frameBits) {
+      const payloadEnd = FRAME_CONFIG.LENGTH_BITS + this.payloadLength * 8
+      const payload = bitsToBytes(this.dataBits.slice(FRAME_CONFIG.LENGTH_BITS, payloadEnd))
+      const receivedCrc = bitsToNumber(this.dataBits.slice(payloadEnd))
+      const expectedCrc = frameCrc(payload)
+
+      if (receivedCrc !== expectedCrc) {
+        this.fail(
+          FRAME_ERROR.CHECKSUM,
+          `Checksum mismatch: received 0x${receivedCrc.toString(16)}, computed 0x${expectedCrc.toString(16)}`
+        )
+        return
+      }
+
+      this.payload = payload
+      this.done = true
+    }
+  }
+}
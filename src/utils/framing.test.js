@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+import { encodeFrame, FRAME_CONFIG, FRAME_ERROR, FrameReader, numberToBits } from './framing'
+
+/**
+ * Feed bits to a new frame reader
+ * @param {Array<number>} bits - Frame bits
+ * @returns {FrameReader} Reader after the last bit
+ */
+function read(bits) {
+  const reader = new FrameReader()
+  bits.forEach((bit) => reader.push(bit))
+  return reader
+}
+
+describe('FrameReader', () => {
+  it('reads back frames with CRC-8 and CRC-16', () => {
+    for (const length of [1, FRAME_CONFIG.CRC16_MIN_PAYLOAD - 1, FRAME_CONFIG.CRC16_MIN_PAYLOAD, FRAME_CONFIG.MAX_PAYLOAD_BYTES]) {
+      const payload = crypto.getRandomValues(new Uint8Array(length))
+      const bits = encodeFrame(payload)
+      const crcBits = length < FRAME_CONFIG.CRC16_MIN_PAYLOAD ? 8 : 16
+      expect(bits.length).toBe(FRAME_CONFIG.LENGTH_BITS + length * 8 + crcBits)
+
+      const reader = read(bits)
+      expect(reader.done).toBe(true)
+      expect(reader.expectedBits).toBe(bits.length)
+      expect(Array.from(reader.payload)).toEqual(Array.from(payload))
+    }
+  })
+
+  it('rejects a length header out of range', () => {
+    for (const length of [0, FRAME_CONFIG.MAX_PAYLOAD_BYTES + 1]) {
+      const reader = read(numberToBits(length, FRAME_CONFIG.LENGTH_BITS))
+      expect(reader.errorCode).toBe(FRAME_ERROR.INVALID_LENGTH)
+      expect(reader.done).toBe(false)
+    }
+  })
+
+  it('rejects a frame with a flipped bit as a checksum error', () => {
+    const bits = encodeFrame(new Uint8Array([0xde, 0xad, 0xbe, 0xef]))
+    for (let i = FRAME_CONFIG.LENGTH_BITS; i < bits.length; i++) {
+      const corrupted = [...bits]
+      corrupted[i] ^= 1
+      const reader = read(corrupted)
+      expect(reader.errorCode).toBe(FRAME_ERROR.CHECKSUM)
+      expect(reader.payload).toBeNull()
+    }
+  })
+
+  it('rejects bits that are neither 0 nor 1', () => {
+    const reader = read([0, 0, 2])
+    expect(reader.errorCode).toBe(FRAME_ERROR.INVALID_BIT)
+  })
+})
@@ -4,37 +4,26 @@
  * Simulates the gate device sending optical flashes.
  * Protocol:
  * - START: light ON (white screen) for 1000ms
- * - 8 bits (MSB first), each bit lasts 300ms
+ * - Frame bits (length header + payload, MSB first), each bit lasts 300ms
  *   - 1 = white (ON)
  *   - 0 = black (OFF)
  * - END: light OFF (black screen) for 1000ms
  */
 
-import { TIMING_CONFIG } from './flashDecoder'
-
-/**
- * Convert a number to 8-bit binary array (MSB first)
- * @param {number} value - Value to convert (0-255)
- * @returns {Array<number>} Array of 8 bits (MSB first)
- */
-export function numberToBits(value) {
-  const bits = []
-  for (let i = 7; i >= 0; i--) {
-    bits.push((value >> i) & 1)
-  }
-  return bits
-}
+import { buildFlashSequence } from './flashSequence'
+import { paintStep } from './tileGrid'
 
 /**
  * Send a challenge flash sequence using requestAnimationFrame for 30+ fps
  * Updates screen continuously at display refresh rate for smooth rendering
- * @param {number} challengeValue - Challenge value to send (0-255)
+ * @param {Uint8Array} challengeValue - Challenge bytes to send
  * @param {Function} onComplete - Callback when transmission is complete
  * @param {Function} onProgress - Optional callback for progress updates
+ * @param {Object} options - Optional transmission options (fec, lineCoding, modulation, bitDuration, channel), see buildFlashSequence
  * @returns {Function} Function to cancel the transmission
  */
-export function sendGateFlash(challengeValue, onComplete, onProgress) {
-  const bits = numberToBits(challengeValue)
+export function sendGateFlash(challengeValue, onComplete, onProgress, options = {}) {
+  const sequence = buildFlashSequence(challengeValue, options)
   let startTime = null
   let isCancelled = false
   let animationFrameId = null
@@ -63,28 +52,6 @@ export function sendGateFlash(challengeValue, onComplete, onProgress) {
   flashOverlay.style.zIndex = '99999'
   flashOverlay.style.transition = 'none'
 
-  // Build flashing sequence
-  const sequence = [
-    // START signal: white for START_DURATION
-    {
-      color: '#FFFFFF', // White = ON
-      duration: TIMING_CONFIG.START_DURATION,
-      description: 'Sending START signal'
-    },
-    // Add 8 bits
-    ...bits.map((bit, i) => ({
-      color: bit === 1 ? '#FFFFFF' : '#000000', // White = ON, Black = OFF
-      duration: TIMING_CONFIG.BIT_DURATION,
-      description: `Sending bit ${i + 1}/8: ${bit}`
-    })),
-    // END signal: black for END_DURATION
-    {
-      color: '#000000', // Black = OFF
-      duration: TIMING_CONFIG.END_DURATION,
-      description: 'Sending END signal'
-    }
-  ]
-
   let currentStep = 0
   let stepStartTime = 0
 
@@ -102,6 +69,19 @@ export function sendGateFlash(challengeValue, onComplete, onProgress) {
       stepStartTime = timestamp
     }
 
+    // Move past every step whose time is up. Steps are scheduled against the
+    // sequence start (stepStartTime advances by the step duration, not to the
+    // current frame), so rounding each step to whole display frames does not
+    // add up over the frame
+    while (currentStep < sequence.length && timestamp - stepStartTime >= sequence[currentStep].duration) {
+      stepStartTime += sequence[currentStep].duration
+      currentStep++
+      lastProgressUpdate = timestamp
+      if (onProgress && currentStep < sequence.length) {
+        onProgress(sequence[currentStep].description)
+      }
+    }
+
     if (currentStep >= sequence.length) {
       // All steps complete
       cleanup()
@@ -112,8 +92,8 @@ export function sendGateFlash(challengeValue, onComplete, onProgress) {
     const step = sequence[currentStep]
     const stepElapsed = timestamp - stepStartTime
 
-    // Continuously update color at 30+ fps for smooth rendering
-    flashOverlay.style.backgroundColor = step.color
+    // Continuously update color (or tiles) at 30+ fps for smooth rendering
+    paintStep(flashOverlay, step)
 
     // Update progress every ~100ms to avoid too frequent callbacks
     if (onProgress && timestamp - lastProgressUpdate > 100) {
@@ -122,16 +102,6 @@ export function sendGateFlash(challengeValue, onComplete, onProgress) {
       lastProgressUpdate = timestamp
     }
 
-    if (stepElapsed >= step.duration) {
-      // Move to next step
-      currentStep++
-      stepStartTime = timestamp
-      lastProgressUpdate = timestamp
-      if (onProgress && currentStep < sequence.length) {
-        onProgress(sequence[currentStep].description)
-      }
-    }
-
     // Continue animation loop (runs at display refresh rate, typically 60fps)
     animationFrameId = requestAnimationFrame(animate)
   }
@@ -0,0 +1,209 @@
+/**
+ * Level Detector Utility
+ *
+ * Replaces the fixed BRIGHTNESS_CHANGE_THRESHOLD with levels learned from
+ * the signal itself:
+ * - While idle, the baseline (OFF level) and its noise are tracked
+ *   continuously, so slow ambient changes such as a sunset are followed.
+ * - A START is anything clearly above the baseline noise, which lets a dim
+ *   screen at a distance through.
+ * - The ON level is measured during the START pulse (or taken from the sync
+ *   word), and bits are sliced at the ON/OFF midpoint with hysteresis.
+ * - OFF samples during END keep refining the OFF level.
+ * - Multi-level symbols (PAM-4) use a ladder of trained levels instead of
+ *   the ON/OFF pair and are quantised to the nearest level.
+ */
+
+import { TIMING_CONFIG } from './config'
+
+/**
+ * Level Detector Class
+ * Learns ON/OFF brightness levels and slices samples between them
+ */
+export class LevelDetector {
+  /**
+   * @param {Object} options - Detector options
+   * @param {number} options.minContrast - Smallest ON/OFF difference accepted as a START (0-255)
+   * @param {number} options.noiseFactor - START must be this many noise deviations above the baseline
+   * @param {number} options.hysteresis - Hysteresis around the midpoint (fraction of the ON/OFF gap)
+   * @param {number} options.trackingRate - Smoothing rate for baseline and level tracking (0-1)
+   */
+  constructor(options = {}) {
+    const {
+      minContrast = TIMING_CONFIG.MIN_LEVEL_CONTRAST,
+      noiseFactor = TIMING_CONFIG.LEVEL_NOISE_FACTOR,
+      hysteresis = TIMING_CONFIG.LEVEL_HYSTERESIS,
+      trackingRate = TIMING_CONFIG.LEVEL_TRACKING_RATE,
+    } = options
+
+    this.minContrast = minContrast
+    this.noiseFactor = noiseFactor
+    this.hysteresis = hysteresis
+    this.trackingRate = trackingRate
+    this.reset()
+  }
+
+  /**
+   * Forget all learned levels
+   */
+  reset() {
+    this.baseline = null
+    this.noise = 0
+    this.onLevel = null
+    this.offLevel = null
+    this.state = false
+    this.startSamples = []
+    this.lastIdleSample = null
+    this.ladder = null
+  }
+
+  /**
+   * Set the initial baseline and noise from calibration samples
+   * @param {Array<number>} samples - Idle brightness samples
+   */
+  calibrate(samples) {
+    const mean = samples.reduce((a, b) => a + b, 0) / samples.length
+    const deviation = samples.reduce((a, b) => a + Math.abs(b - mean), 0) / samples.length
+    this.baseline = mean
+    this.noise = deviation
+    this.onLevel = null
+    this.offLevel = null
+  }
+
+  /**
+   * Minimum rise above the baseline that counts as a START
+   * @returns {number} Brightness difference (0-255)
+   */
+  get startThreshold() {
+    return Math.max(this.minContrast, this.noiseFactor * this.noise)
+  }
+
+  /**
+   * Feed an idle sample (no signal expected): follows baseline drift
+   * @param {number} brightness - Sample brightness (0-255)
+   * @param {number} now - Sample time (ms)
+   * @returns {boolean} true if the sample rises far enough above the baseline to be a START
+   */
+  trackIdle(brightness, now) {
+    if (brightness - this.baseline >= this.startThreshold) {
+      this.startSamples.push({ time: now, brightness })
+      return true
+    }
+
+    // Only idle samples update the baseline, so a START does not pull it up
+    const deviation = Math.abs(brightness - this.baseline)
+    this.baseline += this.trackingRate * (brightness - this.baseline)
+    this.noise += this.trackingRate * (deviation - this.noise)
+    this.startSamples = []
+    this.lastIdleSample = { time: now, brightness }
+    return false
+  }
+
+  /**
+   * Lock ON/OFF levels from the START pulse samples collected by trackIdle
+   * The first sample of the pulse is skipped (it usually straddles the edge)
+   * @returns {number|null} Time the pulse crossed the ON/OFF midpoint (ms), null if unknown
+   */
+  lockFromStart() {
+    const pulse = this.startSamples
+    const plateau = pulse.length > 1 ? pulse.slice(1) : pulse
+    const onLevel = plateau.reduce((sum, sample) => sum + sample.brightness, 0) / plateau.length
+    this.setLevels(onLevel, this.baseline)
+
+    // The START threshold sits low above the baseline, so the first ON sample
+    // comes early on the edge: interpolate where the pulse crossed the midpoint
+    const mid = this.threshold
+    const samples = this.lastIdleSample ? [this.lastIdleSample, ...pulse] : pulse
+    for (let i = 1; i < samples.length; i++) {
+      const prev = samples[i - 1]
+      const sample = samples[i]
+      if (prev.brightness < mid && sample.brightness >= mid) {
+        const fraction = (mid - prev.brightness) / (sample.brightness - prev.brightness)
+        return prev.time + fraction * (sample.time - prev.time)
+      }
+    }
+    return null
+  }
+
+  /**
+   * Set ON/OFF levels directly (e.g. from a sync word); the light is ON afterwards
+   * @param {number} onLevel - ON brightness (0-255)
+   * @param {number} offLevel - OFF brightness (0-255)
+   */
+  setLevels(onLevel, offLevel) {
+    this.onLevel = onLevel
+    this.offLevel = offLevel
+    this.state = true
+    this.startSamples = []
+    this.lastIdleSample = null
+  }
+
+  /**
+   * Midpoint between the learned ON and OFF levels
+   * @returns {number|null} Threshold (0-255), null before levels are learned
+   */
+  get threshold() {
+    return this.onLevel === null ? null : (this.onLevel + this.offLevel) / 2
+  }
+
+  /**
+   * Slice a sample into ON/OFF using the learned levels
+   * Samples well clear of the threshold refine the level they belong to
+   * @param {number} brightness - Sample brightness (0-255)
+   * @returns {boolean} true if the light is ON
+   */
+  isOn(brightness) {
+    const gap = this.onLevel - this.offLevel
+    const margin = this.hysteresis * gap
+    const mid = this.threshold
+
+    if (this.state && brightness < mid - margin) {
+      this.state = false
+    } else if (!this.state && brightness > mid + margin) {
+      this.state = true
+    }
+
+    // Decision-directed tracking: only confident samples, so edges don't blur the levels
+    if (Math.abs(brightness - mid) > gap / 4) {
+      if (this.state) {
+        this.onLevel += this.trackingRate * (brightness - this.onLevel)
+      } else {
+        this.offLevel += this.trackingRate * (brightness - this.offLevel)
+      }
+    }
+    return this.state
+  }
+
+  /**
+   * Set the brightness ladder for multi-level symbols (e.g. from a training sequence)
+   * @param {Array<number>} levels - Brightness of each symbol level, lowest first (0-255)
+   */
+  setLadder(levels) {
+    this.ladder = [...levels]
+  }
+
+  /**
+   * Quantise a sample to the nearest ladder level
+   * Samples close to a level refine it, like the ON/OFF tracking in isOn
+   * @param {number} brightness - Sample brightness (0-255)
+   * @returns {number} Level index (0 = lowest)
+   */
+  quantize(brightness) {
+    let index = 0
+    for (let i = 1; i < this.ladder.length; i++) {
+      if (Math.abs(brightness - this.ladder[i]) < Math.abs(brightness - this.ladder[index])) {
+        index = i
+      }
+    }
+
+    // Decision-directed tracking: only samples within a quarter of the level spacing
+    let spacing = Infinity
+    for (let i = 1; i < this.ladder.length; i++) {
+      spacing = Math.min(spacing, this.ladder[i] - this.ladder[i - 1])
+    }
+    if (Math.abs(brightness - this.ladder[index]) < spacing / 4) {
+      this.ladder[index] += this.trackingRate * (brightness - this.ladder[index])
+    }
+    return index
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Line Coding Utility
+ *
+ * Maps frame bits to light levels on the transmit side and recovers bits on
+ * the receive side.
+ * - nrz: each bit is one level for BIT_DURATION (1 = ON, 0 = OFF)
+ * - manchester: each bit is two half-bit levels with a transition in the
+ *   middle (IEEE 802.3: 1 = OFF→ON, 0 = ON→OFF). The guaranteed mid-bit
+ *   transition lets the receiver recover bit boundaries on every bit. The
+ *   bits follow an OFF guard half-bit: the preamble ends ON, as does a
+ *   leading 0, so without it the half-bit phase could only be projected
+ *   from the preamble's rising edge and clock skew would throw it off.
+ */
+
+import { BitClock } from './bitClock'
+import { TIMING_CONFIG } from './config'
+
+// Supported line codes
+export const LINE_CODING = {
+  NRZ: 'nrz',
+  MANCHESTER: 'manchester'
+}
+
+/**
+ * Convert frame bits into timed light levels
+ * @param {Array<number>} bits - Frame bits
+ * @param {string} lineCoding - One of LINE_CODING (defaults to TIMING_CONFIG.LINE_CODING)
+ * @param {number} bitDuration - Duration of each bit (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+ * @returns {Array<Object>} Levels { on, duration, bitIndex, bit } (the Manchester guard has bitIndex -1)
+ */
+export function encodeLine(bits, lineCoding = TIMING_CONFIG.LINE_CODING, bitDuration = TIMING_CONFIG.BIT_DURATION) {
+  if (lineCoding === LINE_CODING.MANCHESTER) {
+    const half = bitDuration / 2
+    return [
+      // Guard: guarantees an edge between the preamble and the first bit
+      { on: false, duration: half, bitIndex: -1, bit: null },
+      ...bits.flatMap((bit, bitIndex) => [
+        { on: bit === 0, duration: half, bitIndex, bit },
+        { on: bit === 1, duration: half, bitIndex, bit }
+      ])
+    ]
+  }
+
+  return bits.map((bit, bitIndex) => ({
+    on: bit === 1,
+    duration: bitDuration,
+    bitIndex,
+    bit
+  }))
+}
+
+/**
+ * Manchester Slicer Class
+ * Recovers Manchester-coded bits from a stream of ON/OFF samples.
+ * Half-bits are timed by a BitClock that is re-anchored on the preamble's
+ * falling edge into the guard half-bit and then re-fits on every transition
+ * (mid-bit and between equal bits), so timing skew between the two devices
+ * does not accumulate from bit to bit.
+ */
+export class ManchesterSlicer {
+  /**
+   * @param {number} bitDuration - Nominal bit duration (ms)
+   */
+  constructor(bitDuration = TIMING_CONFIG.BIT_DURATION) {
+    this.clock = new BitClock({ unitDuration: bitDuration / 2 })
+    this.start(0, 0)
+  }
+
+  /**
+   * Start slicing, anchored on the preamble
+   * @param {number} referenceTime - Time of the preamble's first edge (ms)
+   * @param {number} preambleDuration - Nominal preamble duration; the guard half-bit starts right after it (ms)
+   * @param {Array<Object>} anchors - Observed preamble edges, see BitClock.start
+   * @param {number} lastOnTime - Time of the sample the preamble was detected on, if it was still ON
+   *   then (ms); lets the first sample catch the preamble's falling edge
+   */
+  start(referenceTime, preambleDuration, anchors = [], lastOnTime = null) {
+    this.clock.start(referenceTime, preambleDuration, anchors)
+    this.referenceTime = referenceTime
+    this.preambleDuration = preambleDuration
+    this.anchors = anchors
+    this.guardSeen = false
+    this.prevOn = lastOnTime === null ? null : true
+    this.prevTime = lastOnTime
+    this.halfIndex = 0
+    this.halfSamples = []
+    this.firstHalf = null
+    this.violations = 0
+  }
+
+  /**
+   * Feed one light sample
+   * @param {boolean} isOn - Whether the light is ON in this sample
+   * @param {number} now - Sample time (ms)
+   * @returns {Array<number>} Bits completed by this sample (usually empty or one)
+   */
+  push(isOn, now) {
+    if (this.prevOn !== null && isOn !== this.prevOn) {
+      // Edge halfway between the two samples around it
+      const edgeTime = (this.prevTime + now) / 2
+      if (!this.guardSeen && !isOn && this.clock.unitAt(edgeTime) <= 0) {
+        // End of the preamble (no later falling edge can come before the guard
+        // ends): anchor the clock on it, however far skew has moved it
+        this.guardSeen = true
+        this.clock.start(this.referenceTime, this.preambleDuration, [
+          ...this.anchors,
+          { time: edgeTime, offset: this.preambleDuration }
+        ])
+        this.halfSamples = []
+      } else if (this.clock.observeEdge(edgeTime) === this.halfIndex) {
+        // Re-fit the clock on the edge. If it starts the current half-bit,
+        // earlier samples belong to the previous one
+        this.halfSamples = []
+      }
+    }
+    this.prevOn = isOn
+    this.prevTime = now
+
+    const bits = []
+    const half = this.clock.unitAt(now)
+    while (this.halfIndex < half) {
+      // Half-bit finished: majority of its samples (current level if none landed in it)
+      const ones = this.halfSamples.filter(Boolean).length
+      const level = this.halfSamples.length > 0 ? ones * 2 > this.halfSamples.length : isOn
+      this.halfSamples = []
+
+      if (this.halfIndex === 0) {
+        // Guard half-bit: carries no data
+      } else if (this.halfIndex % 2 === 1) {
+        this.firstHalf = level
+      } else {
+        // Bit value is the level of the second half; no transition is a code violation
+        if (level === this.firstHalf) {
+          this.violations++
+        }
+        bits.push(level ? 1 : 0)
+      }
+      this.halfIndex++
+    }
+
+    if (half === this.halfIndex) {
+      this.halfSamples.push(isOn)
+    }
+    return bits
+  }
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { TIMING_CONFIG } from './config'
+import { buildFlashSequence, FLASH_COLORS } from './flashSequence'
+import { FrameReader } from './framing'
+import { encodeLine, LINE_CODING, ManchesterSlicer } from './lineCoding'
+
+// Camera frame interval of the simulated receiver (ms)
+const FRAME_INTERVAL = 1000 / 30
+
+/**
+ * Film a Manchester-coded transmission and slice it as the receiver does
+ * @param {Uint8Array} payload - Payload bytes sent
+ * @param {number} skew - Transmitter clock error (e.g. 0.05 = every step 5% longer)
+ * @returns {Object} FrameReader fed with the sliced bits
+ */
+function sliceTransmission(payload, skew) {
+  const steps = buildFlashSequence(payload, { lineCoding: LINE_CODING.MANCHESTER })
+  const edges = []
+  let time = 0
+  for (const step of steps) {
+    edges.push({ time, on: step.color !== FLASH_COLORS.OFF })
+    time += step.duration * (1 + skew)
+  }
+  const levelAt = (t) => edges.filter((edge) => edge.time <= t).pop()?.on ?? false
+
+  // The START rising edge is located to within a frame, as by the level detector
+  const phase = Math.random() * FRAME_INTERVAL
+  const slicer = new ManchesterSlicer()
+  slicer.start(phase - FRAME_INTERVAL / 2, TIMING_CONFIG.START_DURATION)
+
+  const reader = new FrameReader()
+  for (let t = phase + TIMING_CONFIG.START_DURATION * 0.9; t < time && !reader.done && !reader.error; t += FRAME_INTERVAL) {
+    slicer.push(levelAt(t), t).forEach((bit) => reader.push(bit))
+  }
+  return reader
+}
+
+describe('encodeLine', () => {
+  it('sends an OFF guard half-bit before Manchester bits', () => {
+    const levels = encodeLine([0, 1], LINE_CODING.MANCHESTER, 300)
+    expect(levels.map((level) => level.on)).toEqual([false, true, false, false, true])
+    expect(levels.map((level) => level.duration)).toEqual([150, 150, 150, 150, 150])
+  })
+
+  it('sends one level per bit with NRZ', () => {
+    expect(encodeLine([1, 0], LINE_CODING.NRZ, 300).map((level) => level.on)).toEqual([true, false])
+  })
+})
+
+describe('ManchesterSlicer', () => {
+  // A START more than START_TOLERANCE short is not detected at all, so slower skews are left out
+  it.each([-0.05, 0, 0.05, 0.1])('decodes a frame sent with %f clock skew', (skew) => {
+    for (let i = 0; i < 20; i++) {
+      const payload = crypto.getRandomValues(new Uint8Array(8))
+      const reader = sliceTransmission(payload, skew)
+      expect(reader.error).toBeNull()
+      expect(Array.from(reader.payload)).toEqual(Array.from(payload))
+    }
+  })
+})
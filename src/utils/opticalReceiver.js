@@ -0,0 +1,771 @@
+/**
+ * Optical Receiver Utility
+ *
+ * The receiver engine shared by the phone (FlashDecoder, reading the gate's
+ * challenge) and the gate (GateFlashReceiver, reading the phone's response),
+ * so both sides decode with the same accuracy and protocol changes are made
+ * in one place. Per frame it samples the emitter ROI, filters the sample,
+ * and runs the state machine:
+ * - CALIBRATE: learn the idle baseline and noise
+ * - DETECT_START: wait for the START pulse (or a Barker-13 sync word)
+ * - READ_BITS: read the frame, timed by the bit clock; NRZ bits are decided
+ *   from their frames by the configured strategy (see bitSampler.js)
+ * - DETECT_END: wait for END, then deliver the payload
+ * Rolling-shutter mode replaces all of the above with stripe decoding.
+ *
+ * The role only changes the log tag and messages, and whether rolling-shutter
+ * stripes are expected by default.
+ */
+
+import { BitClock } from './bitClock'
+import { BitSampler } from './bitSampler'
+import { sampleCenterBrightness } from './brightness'
+import { CskDemodulator, sampleRegionColor } from './colorShiftKeying'
+import { TIMING_CONFIG } from './config'
+import { EmitterLocator } from './emitterLocator'
+import { CENTER_REGION, compensateExposure, EXPOSURE_COMPENSATION, measureRegion } from './exposureCompensation'
+import { CHANNEL, MODULATION } from './flashSequence'
+import { FlickerFilter } from './flickerFilter'
+import { FrameReader, FRAME_ERROR } from './framing'
+import { FrameScheduler } from './frameScheduler'
+import { FrameSampler } from './frameSampler'
+import { LevelDetector } from './levelDetector'
+import { LINE_CODING, ManchesterSlicer } from './lineCoding'
+import { PamDemodulator } from './pulseAmplitude'
+import { sampleRowProfile, StripeDecoder } from './rollingShutter'
+import { BARKER_13, SyncCorrelator, SYNC_MODE } from './syncWord'
+import { captureGrayFrame, GridDemodulator } from './tileGrid'
+
+// Which side of the link a receiver runs on
+export const RECEIVER_ROLE = {
+  PHONE: 'phone', // Reads the gate's challenge
+  GATE: 'gate'    // Reads the phone's response
+}
+
+// Log tag, what is listened for and what the frame carries, per role
+const ROLE_PROFILES = {
+  [RECEIVER_ROLE.PHONE]: { tag: '[FlashDecoder]', partner: 'gate signal', frame: 'Challenge' },
+  [RECEIVER_ROLE.GATE]: { tag: '[GateReceiver]', partner: 'phone response', frame: 'Response' }
+}
+
+/**
+ * Optical Receiver Class
+ * Manages the state machine for decoding optical flashes
+ * Uses differential detection to only detect light changes from the emitter (not ambient light)
+ * Samples every camera frame once (requestVideoFrameCallback, or requestAnimationFrame as fallback)
+ */
+export class OpticalReceiver {
+  /**
+   * @param {Function} onDecodeComplete - Called with (payload, { corrections }) when a frame is decoded
+   * @param {Function} onError - Called with (message, code) on failure
+   * @param {Object} options - Receiver options
+   * @param {string} options.role - One of RECEIVER_ROLE (defaults to the phone)
+   * @param {string} options.sampling - How NRZ bits are decided from their frames, one of BIT_SAMPLING (defaults to TIMING_CONFIG.BIT_SAMPLING)
+   * @param {string} options.fec - FEC scheme (defaults to FRAME_CONFIG.FEC)
+   * @param {string} options.lineCoding - Line code (defaults to TIMING_CONFIG.LINE_CODING)
+   * @param {string} options.modulation - One of MODULATION (defaults to TIMING_CONFIG.MODULATION)
+   * @param {string} options.syncMode - Preamble (defaults to TIMING_CONFIG.SYNC_MODE)
+   * @param {number} options.bitDuration - Duration of each bit or symbol (ms, defaults to TIMING_CONFIG.BIT_DURATION), see setBitDuration
+   * @param {string} options.flickerFilter - Flicker filter (defaults to TIMING_CONFIG.FLICKER_FILTER)
+   * @param {string} options.exposureCompensation - ROI vs reference ring mode (defaults to TIMING_CONFIG.EXPOSURE_COMPENSATION)
+   * @param {boolean} options.locateEmitter - Find and track the emitter instead of sampling the frame centre (defaults to TIMING_CONFIG.LOCATE_EMITTER)
+   * @param {Function} options.onRoiChange - Called with the new ROI { x, y, width, height } (fractions of the frame)
+   * @param {string} options.channel - Colour channel the other side transmits on, one of CHANNEL (defaults to all three)
+   * @param {boolean} options.rollingShutter - Decode LED stripes from row profiles instead of flashes (defaults to TIMING_CONFIG.ROLLING_SHUTTER for the phone)
+   * @param {boolean} options.workerSampling - Sample frames in a Worker when supported (defaults to TIMING_CONFIG.WORKER_SAMPLING)
+   * @param {number} options.frameRate - Camera frame rate, e.g. useCamera's settings.frameRate (fps, defaults to 1000 / TIMING_CONFIG.SAMPLE_INTERVAL)
+   * @param {SelfInterferenceCanceller} options.selfInterference - Removes the phone's own screen flashes from the samples (front camera, see selfInterference.js)
+   */
+  constructor(onDecodeComplete, onError, options = {}) {
+    this.onDecodeComplete = onDecodeComplete
+    this.onError = onError
+    this.role = options.role ?? RECEIVER_ROLE.PHONE
+    this.profile = ROLE_PROFILES[this.role]
+    this.state = 'IDLE' // IDLE, CALIBRATE, DETECT_START, READ_BITS, COMPLETE
+    this.bits = []
+    this.frameReader = new FrameReader({ fec: options.fec })
+    this.lineCoding = options.lineCoding ?? TIMING_CONFIG.LINE_CODING
+    this.modulation = options.modulation ?? TIMING_CONFIG.MODULATION
+    this.syncMode = options.syncMode ?? TIMING_CONFIG.SYNC_MODE
+    this.syncCorrelator = new SyncCorrelator()
+    this.levelDetector = new LevelDetector()
+    this.bitSampler = new BitSampler({ mode: options.sampling })
+    this.setBitDuration(options.bitDuration ?? TIMING_CONFIG.BIT_DURATION)
+    this.flickerFilter = new FlickerFilter({ mode: options.flickerFilter })
+    this.exposureCompensation = options.exposureCompensation ?? TIMING_CONFIG.EXPOSURE_COMPENSATION
+    this.channel = options.channel ?? CHANNEL.WHITE
+    this.emitterLocator = (options.locateEmitter ?? TIMING_CONFIG.LOCATE_EMITTER) ? new EmitterLocator({ channel: this.channel }) : null
+    this.onRoiChange = options.onRoiChange
+    // Only the gate has a kHz LED to send stripes with
+    this.rollingShutter = options.rollingShutter ?? (this.role === RECEIVER_ROLE.PHONE && TIMING_CONFIG.ROLLING_SHUTTER)
+    this.stripeDecoder = new StripeDecoder({ fec: options.fec })
+    this.frameSampler = (options.workerSampling ?? TIMING_CONFIG.WORKER_SAMPLING)
+      ? new FrameSampler({ fullHeight: this.rollingShutter })
+      : null
+    this.selfInterference = options.selfInterference ?? null
+    this.startTime = null
+    this.lastStateChange = null
+    this.currentBitIndex = 0
+    this.frameScheduler = new FrameScheduler()
+    this.video = null
+    this.canvas = null
+    this.source = null // frame being sampled on the main thread (the video), null while the frame sampler's Worker measures
+    this.measured = null // measurements of the current frame from the frame sampler's Worker, see measurementRequest
+    
+    // Baseline tracking for differential detection
+    this.baselineBrightness = null
+    this.baselineSamples = []
+    this.isCalibrated = false
+    // BASELINE_SAMPLES is sized for SAMPLE_INTERVAL: keep the calibration time at the real frame rate
+    this.baselineSampleCount = options.frameRate
+      ? Math.max(1, Math.round((TIMING_CONFIG.BASELINE_SAMPLES * options.frameRate * TIMING_CONFIG.SAMPLE_INTERVAL) / 1000))
+      : TIMING_CONFIG.BASELINE_SAMPLES
+    
+    // Edge tracking for START measurement and clock recovery
+    this.prevOn = null
+    this.prevSampleTime = null
+    this.startEdgeTime = null
+
+    // Recent signal for the aiming guide (see getSignalInfo)
+    this.lastBrightness = null
+    this.lastLevel = null
+    this.signalHistory = [] // { time, contrast }, oldest first
+  }
+
+  /**
+   * Start decoding process
+   * First calibrates baseline brightness, then starts detection
+   * @param {HTMLVideoElement} video - Video element to sample from
+   * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+   */
+  start(video, canvas) {
+    this.video = video
+    this.canvas = canvas
+    this.source = video
+    this.measured = null
+    if (this.frameSampler) this.frameSampler.start()
+    this.state = 'CALIBRATE'
+    this.bits = []
+    this.frameReader.reset()
+    this.currentBitIndex = 0
+    this.startTime = performance.now()
+    this.lastStateChange = performance.now()
+    this.baselineSamples = []
+    this.isCalibrated = false
+    this.baselineBrightness = null
+    this.syncCorrelator.reset()
+    this.flickerFilter.reset()
+    if (this.emitterLocator) this.emitterLocator.reset()
+    this.prevOn = null
+    this.prevSampleTime = null
+    this.startEdgeTime = null
+    this.lastBrightness = null
+    this.lastLevel = null
+    this.signalHistory = []
+    this.stripeDecoder.reset()
+    if (this.rollingShutter) {
+      // Stripes carry their own sync and need no baseline
+      this.state = 'DETECT_START'
+      console.log(`${this.profile.tag} Rolling-shutter mode, listening for stripes...`)
+    }
+
+    // Sample once per camera frame (requestAnimationFrame where requestVideoFrameCallback is missing)
+    this.frameScheduler.reset()
+    this.scheduleFrame()
+  }
+
+  /**
+   * Stop decoding process
+   */
+  stop() {
+    this.frameScheduler.cancel()
+    if (this.frameSampler) this.frameSampler.stop()
+    this.state = 'IDLE'
+    this.isCalibrated = false
+    this.baselineBrightness = null
+    this.baselineSamples = []
+  }
+
+  /**
+   * Switch to another bit duration, e.g. the one agreed by rate negotiation
+   * Rebuilds the bit clocks and demodulators, so call it between frames
+   * @param {number} bitDuration - Duration of each bit or symbol (ms)
+   */
+  setBitDuration(bitDuration) {
+    this.bitDuration = bitDuration
+    this.bitClock = new BitClock({ unitDuration: bitDuration })
+    this.manchesterSlicer = new ManchesterSlicer(bitDuration)
+    this.cskDemodulator = new CskDemodulator({ symbolDuration: bitDuration })
+    this.gridDemodulator = new GridDemodulator({ symbolDuration: bitDuration })
+    this.pamDemodulator = new PamDemodulator(this.levelDetector, { symbolDuration: bitDuration })
+  }
+
+  /**
+   * Region currently sampled for the emitter
+   * @returns {Object} ROI { x, y, width, height } as fractions of the frame
+   */
+  get roi() {
+    return this.emitterLocator ? this.emitterLocator.roi : CENTER_REGION
+  }
+
+  /**
+   * Measure the emitter brightness for the current frame (or a recorded one)
+   * Optionally relative to the surrounding ring so auto-exposure cancels out
+   * @param {Float32Array} blocks - Recorded block means (emitter locator only)
+   * @returns {number} Sample brightness
+   */
+  sampleBrightness(blocks) {
+    // The raw ROI level of live frames is kept for the saturation check in getSignalInfo
+    if (this.emitterLocator) {
+      const measurement = this.emitterLocator.measure(blocks)
+      if (!blocks) this.lastLevel = measurement.roi
+      return compensateExposure(measurement, this.exposureCompensation)
+    }
+    if (this.exposureCompensation === EXPOSURE_COMPENSATION.NONE && !this.measured) {
+      this.lastLevel = sampleCenterBrightness(this.source, this.canvas, this.channel)
+      return this.lastLevel
+    }
+    // The Worker measures the centre and its ring in one go; the centre alone is its roi
+    const measurement = this.measured
+      ? this.measured.region
+      : measureRegion(this.source, this.canvas, CENTER_REGION, TIMING_CONFIG.REFERENCE_RING_SCALE, this.channel)
+    if (!measurement) return 0
+    this.lastLevel = measurement.roi
+    return compensateExposure(measurement, this.exposureCompensation)
+  }
+
+  /**
+   * Record a live sample for the aiming guide
+   * @param {number} brightness - Filtered sample brightness
+   * @param {number} now - Sample time (ms)
+   */
+  recordSignal(brightness, now) {
+    this.lastBrightness = brightness
+    const baseline = this.levelDetector.baseline
+    if (baseline === null || !this.isCalibrated) return
+
+    this.signalHistory.push({ time: now, contrast: brightness - baseline })
+    while (this.signalHistory.length > 1 && this.signalHistory[0].time < now - TIMING_CONFIG.SIGNAL_WINDOW) {
+      this.signalHistory.shift()
+    }
+  }
+
+  /**
+   * Current signal strength, for aiming guides
+   * contrast is the largest rise above the baseline over the last SIGNAL_WINDOW;
+   * the emitter is only detected once it reaches startThreshold
+   * @returns {Object} { state, brightness, level, baseline, contrast, startThreshold, saturated, roi }
+   */
+  getSignalInfo() {
+    const contrast = this.signalHistory.reduce((peak, sample) => Math.max(peak, sample.contrast), 0)
+    return {
+      state: this.state,
+      brightness: this.lastBrightness,
+      level: this.lastLevel,
+      baseline: this.isCalibrated ? this.levelDetector.baseline : null,
+      contrast,
+      startThreshold: this.levelDetector.startThreshold,
+      saturated: this.lastLevel !== null && this.lastLevel >= TIMING_CONFIG.SATURATION_LEVEL,
+      roi: this.roi
+    }
+  }
+
+  /**
+   * Extra measurement for multi-bit modulations, taken after sampleBrightness
+   * @returns {Array<number>|Object|null} ROI color (colour-shift keying), grey frame while reading (tile grid), otherwise null
+   */
+  sampleSymbol() {
+    if (this.modulation === MODULATION.CSK) {
+      return this.measured ? this.measured.color : sampleRegionColor(this.canvas, this.roi)
+    }
+    if (this.modulation === MODULATION.GRID && this.state === 'READ_BITS') {
+      return this.measured
+        ? this.measured.gray
+        : captureGrayFrame(this.source, this.canvas, TIMING_CONFIG.GRID_SAMPLE_WIDTH, this.channel)
+    }
+    return null
+  }
+
+  /**
+   * Measurements the frame sampler's Worker takes of each frame, in place of
+   * the main-thread samplers used by sampleBrightness, sampleSymbol,
+   * captureBlocks and processStripes (see samplingWorker.js)
+   * @returns {Object} Request { channel, blocks, region, color, gray, profile }
+   */
+  measurementRequest() {
+    if (this.rollingShutter) {
+      return { channel: this.channel, profile: TIMING_CONFIG.RS_PROFILE_WIDTH }
+    }
+    return {
+      channel: this.channel,
+      blocks: this.emitterLocator ? { cols: this.emitterLocator.cols, rows: this.emitterLocator.rows } : null,
+      region: this.emitterLocator ? null : { region: CENTER_REGION, ringScale: TIMING_CONFIG.REFERENCE_RING_SCALE },
+      color: this.modulation === MODULATION.CSK ? this.roi : null,
+      // Requested before READ_BITS too, so the first symbol of the frame is not missed
+      gray: this.modulation === MODULATION.GRID ? TIMING_CONFIG.GRID_SAMPLE_WIDTH : null
+    }
+  }
+
+  /**
+   * Add the current frame's block means to the emitter locator
+   * @param {number} now - Frame time (ms)
+   * @returns {boolean} false if the camera has not delivered a frame yet
+   */
+  captureBlocks(now) {
+    if (!this.measured) {
+      return this.emitterLocator.capture(this.source, this.canvas, now) !== null
+    }
+    if (!this.measured.blocks) return false
+    this.emitterLocator.addFrame(this.measured.blocks, now)
+    return true
+  }
+
+  /**
+   * Restart START detection on a newly located emitter
+   * Re-seeds the baseline from the oldest recorded frames (the emitter was most
+   * likely idle then) and feeds all recorded frames through the state machine
+   * @returns {boolean} false if sampling should stop
+   */
+  replayHistory() {
+    const frames = this.emitterLocator.history
+    const values = frames.map((frame) => this.sampleBrightness(frame.blocks) - (this.selfInterference?.predict(frame.time) ?? 0))
+
+    this.levelDetector.calibrate(values.slice(0, Math.max(1, Math.floor(values.length / 4))))
+    this.baselineBrightness = this.levelDetector.baseline
+    this.flickerFilter.reset()
+    this.syncCorrelator.reset()
+    this.signalHistory = []
+    this.prevOn = null
+    this.prevSampleTime = null
+    this.startEdgeTime = null
+
+    for (let i = 0; i < frames.length; i++) {
+      const brightness = this.flickerFilter.push(values[i], frames[i].time)
+      if (!this.processSample(brightness, frames[i].time)) return false
+    }
+    return true
+  }
+
+  /**
+   * Sample the next camera frame
+   */
+  scheduleFrame() {
+    this.frameScheduler.request(this.video, (frameTime) => this.animate(frameTime))
+  }
+
+  /**
+   * Sampling loop, run once per camera frame (see frameScheduler.js)
+   * Samples brightness and updates state machine
+   * @param {number} frameTime - Capture time of the frame (ms)
+   */
+  animate(frameTime) {
+    if (!this.video || !this.canvas) {
+      this.scheduleFrame()
+      return
+    }
+
+    // With the frame sampler, measurements come back from the Worker a little later: time them by when the frame was grabbed
+    const frame = this.frameSampler
+      ? this.frameSampler.next(this.video, frameTime, this.measurementRequest())
+      : { source: this.video, time: frameTime }
+    if (!frame) {
+      this.scheduleFrame()
+      return
+    }
+    const now = frame.time
+    this.source = frame.source ?? null
+    this.measured = frame.measured ?? null
+
+    if (this.rollingShutter) {
+      if (!this.processStripes()) return
+      this.scheduleFrame()
+      return
+    }
+
+    if (this.emitterLocator) {
+      // Track the blinking source; skip frames the camera has not delivered yet
+      if (!this.captureBlocks(now)) {
+        this.scheduleFrame()
+        return
+      }
+
+      // The phone's own flashes light the whole scene: no jumps to another block while they last
+      const searching = (this.state === 'CALIBRATE' || this.state === 'DETECT_START') && !this.selfInterference?.active
+      if (this.emitterLocator.locate(searching)) {
+        console.log(`${this.profile.tag} Emitter located at ${JSON.stringify(this.emitterLocator.roi)}`)
+        if (this.onRoiChange) this.onRoiChange(this.emitterLocator.roi)
+
+        if (this.state === 'DETECT_START') {
+          // The START may already be under way on the new ROI: replay the recent frames on it
+          if (!this.replayHistory()) return
+          this.scheduleFrame()
+          return
+        }
+      }
+    }
+
+    // Front camera: take the phone's own screen flashes out (frames are skipped until their coupling is known)
+    let sample = this.sampleBrightness()
+    if (this.selfInterference) {
+      sample = this.selfInterference.cancel(sample, now)
+      if (sample === null) {
+        this.scheduleFrame()
+        return
+      }
+    }
+
+    // Mains flicker is filtered out before any level decision (pass-through unless enabled)
+    const brightness = this.flickerFilter.push(sample, now)
+    this.recordSignal(brightness, now)
+    if (!this.processSample(brightness, now, this.sampleSymbol())) return
+
+    // Continue with the next camera frame
+    this.scheduleFrame()
+  }
+
+  /**
+   * Feed the row profile of the current frame to the stripe decoder (rolling-shutter mode)
+   * Completes as soon as every frame bit has enough votes; there is no END to wait for
+   * @returns {boolean} false if sampling should stop
+   */
+  processStripes() {
+    const profile = this.measured ? this.measured.profile : sampleRowProfile(this.source, this.canvas)
+    if (!profile) return true
+
+    const bits = this.stripeDecoder.push(profile)
+    if (this.state === 'DETECT_START' && this.stripeDecoder.synced) {
+      this.state = 'READ_BITS'
+      console.log(`${this.profile.tag} Stripe sync found (${this.stripeDecoder.halfBitRows.toFixed(1)} rows per half-bit), collecting votes...`)
+    }
+    if (!bits) return true
+
+    this.bits = bits
+    this.frameReader.reset()
+    bits.forEach((bit) => this.frameReader.push(bit))
+    if (this.frameReader.error) {
+      // A bit was outvoted wrongly: start voting again on fresh frames
+      console.log(`${this.profile.tag} Stripe frame rejected (${this.frameReader.error}), collecting votes again...`)
+      this.stripeDecoder.reset()
+      this.state = 'DETECT_START'
+      return true
+    }
+
+    console.log(`${this.profile.tag} ✓ All frame bits received from stripes. Complete binary:`, this.bits.join(''))
+    this.decodeFrame()
+    this.stop()
+    this.state = 'COMPLETE'
+    return false
+  }
+
+  /**
+   * Advance the state machine with one brightness sample
+   * @param {number} brightness - Filtered sample brightness
+   * @param {number} now - Sample time (ms)
+   * @param {Array<number>|Object} symbolSample - Multi-bit modulations only, see sampleSymbol (null for replayed frames)
+   * @returns {boolean} false if sampling should stop
+   */
+  processSample(brightness, now, symbolSample = null) {
+    const elapsed = now - this.lastStateChange
+
+    switch (this.state) {
+      case 'CALIBRATE':
+        // Collect baseline samples to calculate reference brightness
+        // This filters out ambient light - we only detect changes from baseline
+        this.baselineSamples.push(brightness)
+        
+        if (this.baselineSamples.length >= this.baselineSampleCount) {
+          // Initial baseline and noise level; both keep tracking while idle
+          this.levelDetector.calibrate(this.baselineSamples)
+          this.baselineBrightness = this.levelDetector.baseline
+          this.isCalibrated = true
+          this.state = 'DETECT_START'
+          this.lastStateChange = now
+          console.log(`${this.profile.tag} Baseline calibrated: ${this.baselineBrightness.toFixed(1)}`)
+          console.log(`${this.profile.tag} Listening for ${this.profile.partner}...`)
+        }
+        break
+
+      case 'DETECT_START': {
+        // Wait for START signal: light ON (significantly brighter than baseline) for START_DURATION
+        if (!this.isCalibrated || this.baselineBrightness === null) {
+          // Fallback to calibration if not calibrated
+          this.state = 'CALIBRATE'
+          this.baselineSamples = []
+          break
+        }
+
+        // Follow slow ambient changes; samples above the START threshold are left out
+        const isOnStart = this.levelDetector.trackIdle(brightness, now)
+        this.baselineBrightness = this.levelDetector.baseline
+
+        if (this.syncMode === SYNC_MODE.BARKER_13) {
+          // Sync word: start reading only at a Barker-13 correlation peak
+          this.syncCorrelator.minContrast = this.levelDetector.startThreshold
+          const sync = this.syncCorrelator.push(brightness, now)
+          if (sync) {
+            this.levelDetector.setLevels(sync.onLevel, sync.offLevel)
+            console.log(`${this.profile.tag} Sync word detected (correlation ${sync.score.toFixed(2)}), reading frame...`)
+            const syncDuration = BARKER_13.length * TIMING_CONFIG.SYNC_CHIP_DURATION
+            this.beginReading(sync.time - syncDuration, syncDuration, sync.edges)
+          }
+          break
+        }
+        
+        const startEdge = this.detectEdge(isOnStart, now)
+
+        if (!isOnStart) {
+          this.startEdgeTime = null
+          break
+        }
+        if (startEdge !== null) {
+          // Rising edge: START is timed from here rather than from the first ON sample
+          this.startEdgeTime = startEdge
+        }
+        
+        if (this.startEdgeTime !== null && now - this.startEdgeTime >= TIMING_CONFIG.START_DURATION * (1 - TIMING_CONFIG.START_TOLERANCE)) {
+          // START signal detected, begin reading frame bits
+          const crossing = this.levelDetector.lockFromStart()
+          console.log(`${this.profile.tag} START signal detected (ON level ${this.levelDetector.onLevel.toFixed(1)}, OFF level ${this.levelDetector.offLevel.toFixed(1)}), reading frame...`)
+          this.beginReading(crossing ?? this.startEdgeTime, TIMING_CONFIG.START_DURATION, [], now)
+        }
+        break
+      }
+
+      case 'READ_BITS': {
+        // Read frame bits, each lasting bitDuration, until the frame reader is complete
+        if (!this.isCalibrated || this.baselineBrightness === null) {
+          this.onError('Baseline lost during bit reading')
+          this.stop()
+          break
+        }
+        
+        if (this.modulation === MODULATION.CSK) {
+          // Colour-shift keying: three bits per symbol, unmixed using the calibration preamble
+          if (!symbolSample) break
+          for (const bit of this.cskDemodulator.push(symbolSample, now)) {
+            if (!this.recordBit(bit, now, brightness)) return false
+            if (this.state !== 'READ_BITS') break
+          }
+          if (this.cskDemodulator.error && this.state === 'READ_BITS') {
+            this.onError(this.cskDemodulator.error)
+            this.stop()
+            return false
+          }
+          break
+        }
+
+        if (this.modulation === MODULATION.GRID) {
+          // Tile grid: one bit per data tile, each sliced at its own trained midpoint
+          if (!symbolSample) break
+          for (const bit of this.gridDemodulator.push(symbolSample, now)) {
+            if (!this.recordBit(bit, now, brightness)) return false
+            if (this.state !== 'READ_BITS') break
+          }
+          if (this.gridDemodulator.error && this.state === 'READ_BITS') {
+            this.onError(this.gridDemodulator.error)
+            this.stop()
+            return false
+          }
+          break
+        }
+
+        if (this.modulation === MODULATION.PAM4) {
+          // 4-PAM: two bits per symbol, quantised to the grey levels of the training sequence
+          for (const bit of this.pamDemodulator.push(brightness, now)) {
+            if (!this.recordBit(bit, now, brightness)) return false
+            if (this.state !== 'READ_BITS') break
+          }
+          if (this.pamDemodulator.error && this.state === 'READ_BITS') {
+            this.onError(this.pamDemodulator.error)
+            this.stop()
+            return false
+          }
+          break
+        }
+
+        // Slice at the ON/OFF midpoint learned from the preamble
+        const isOnBit = this.levelDetector.isOn(brightness)
+
+        if (this.lineCoding === LINE_CODING.MANCHESTER) {
+          // Manchester: half-bit clock re-fitted on every transition
+          for (const bit of this.manchesterSlicer.push(isOnBit, now)) {
+            if (!this.recordBit(bit, now, brightness)) return false
+            if (this.state !== 'READ_BITS') break
+          }
+          break
+        }
+
+        // Re-align the bit clock on every observed transition
+        const bitEdge = this.detectEdge(isOnBit, now)
+        if (bitEdge !== null && this.bitClock.observeEdge(bitEdge) === this.currentBitIndex) {
+          // The current bit starts at this edge: earlier frames belong to the previous bit
+          this.bitSampler.reset()
+        }
+
+        // Bit this sample falls into (-1 while the START pulse is still on)
+        const bitIndex = this.bitClock.unitAt(now)
+
+        // Record every bit the clock has moved past
+        while (this.currentBitIndex < bitIndex && this.state === 'READ_BITS') {
+          // No frame landed in this bit (dropped frames): use the current level
+          const bit = this.bitSampler.decide(this.levelDetector.threshold) ?? (isOnBit ? 1 : 0)
+          this.bitSampler.reset()
+          if (!this.recordBit(bit, now, brightness)) return false
+        }
+
+        if (this.state === 'READ_BITS' && bitIndex === this.currentBitIndex) {
+          // Collect every frame of the bit with its distance from the middle of the bit
+          const bitMidpoint = this.bitClock.unitStart(bitIndex) + (this.bitClock.rate * this.bitDuration) / 2
+          this.bitSampler.push(isOnBit, brightness, Math.abs(now - bitMidpoint))
+        }
+        break
+      }
+
+      case 'DETECT_END': {
+        // Wait for END signal: light OFF (back to baseline) for END_DURATION
+        if (!this.isCalibrated || this.baselineBrightness === null) {
+          this.onError('Baseline lost during END detection')
+          this.stop()
+          break
+        }
+        
+        const isOnEnd = this.levelDetector.isOn(brightness)
+        
+        if (!isOnEnd && elapsed >= TIMING_CONFIG.END_DURATION) {
+          // END signal detected, decode the payload
+          this.decodeFrame()
+          this.state = 'COMPLETE'
+        } else if (isOnEnd && elapsed > TIMING_CONFIG.END_DURATION * 1.5) {
+          // Still seeing light after expected END, might be error
+          this.onError('END signal not detected properly - light still on')
+          this.stop()
+        }
+        break
+      }
+
+      case 'COMPLETE':
+        // Decoding complete, stop animation
+        this.stop()
+        return false
+
+      default:
+        break
+    }
+
+    return true
+  }
+
+  /**
+   * Switch to READ_BITS, anchoring the bit clock on the preamble
+   * @param {number} referenceTime - Time of the preamble's rising edge (ms)
+   * @param {number} preambleDuration - Nominal preamble duration; the first bit starts right after it (ms)
+   * @param {Array<Object>} anchors - Observed preamble edges, see BitClock.start
+   * @param {number} detectedAt - Time of the sample the preamble was detected on while still ON (ms, optional)
+   */
+  beginReading(referenceTime, preambleDuration, anchors = [], detectedAt = null) {
+    this.state = 'READ_BITS'
+    this.currentBitIndex = 0
+    this.bits = []
+    this.frameReader.reset()
+    this.bitClock.start(referenceTime, preambleDuration, anchors)
+    this.manchesterSlicer.start(referenceTime, preambleDuration, anchors, detectedAt)
+    this.cskDemodulator.start(referenceTime, preambleDuration, anchors)
+    this.pamDemodulator.start(referenceTime, preambleDuration, anchors)
+    this.gridDemodulator.start(referenceTime, preambleDuration, anchors)
+    this.bitSampler.reset()
+    this.lastStateChange = this.bitClock.unitStart(0)
+  }
+
+  /**
+   * Track light transitions between consecutive samples
+   * @param {boolean} isOn - Whether the light is ON in this sample
+   * @param {number} now - Sample time (ms)
+   * @returns {number|null} Estimated transition time (halfway between the two samples), or null
+   */
+  detectEdge(isOn, now) {
+    const edge = this.prevOn !== null && isOn !== this.prevOn ? (this.prevSampleTime + now) / 2 : null
+    this.prevOn = isOn
+    this.prevSampleTime = now
+    return edge
+  }
+
+  /**
+   * Record a decoded bit and advance the frame
+   * Moves to DETECT_END once the frame reader has a whole frame
+   * @param {number} bit - Decoded bit (0 or 1)
+   * @param {number} now - Current time (ms)
+   * @param {number} brightness - Brightness of the current sample (for logging)
+   * @returns {boolean} false if decoding stopped because of a frame error
+   */
+  recordBit(bit, now, brightness) {
+    this.bits.push(bit)
+    this.frameReader.push(bit)
+    this.currentBitIndex++
+    this.lastStateChange = now
+
+    console.log(`${this.profile.tag} Bit ${this.currentBitIndex}/${this.frameReader.expectedBits ?? '?'} recorded: ${bit} | Binary so far: ${this.bits.join('')} | Brightness: ${brightness.toFixed(1)}, Threshold: ${this.levelDetector.threshold.toFixed(1)}, Baseline: ${this.baselineBrightness.toFixed(1)}`)
+
+    if (this.frameReader.error) {
+      // Invalid header (e.g. a false START) or checksum mismatch, give up on this frame
+      this.onError(this.frameReader.error, this.frameReader.errorCode)
+      this.stop()
+      return false
+    }
+
+    if (this.frameReader.done) {
+      // Whole frame received, wait for END signal
+      this.state = 'DETECT_END'
+      console.log(`${this.profile.tag} ✓ All frame bits received. Complete binary:`, this.bits.join(''))
+      if (this.bitClock.measuredPreamble !== null) {
+        console.log(`${this.profile.tag} Measured START: ${this.bitClock.measuredPreamble.toFixed(0)}ms, clock rate: ${this.bitClock.rate.toFixed(3)}`)
+      }
+    }
+    return true
+  }
+
+  /**
+   * Deliver the payload from the completed frame
+   * Ensures a whole frame was received before handing over the bytes
+   */
+  decodeFrame() {
+    if (!this.frameReader.done) {
+      this.onError(
+        `Incomplete frame: ${this.bits.length} bits received (expected ${this.frameReader.expectedBits ?? 'length header'})`,
+        FRAME_ERROR.INCOMPLETE
+      )
+      return
+    }
+
+    const payload = this.frameReader.payload
+    console.log(`${this.profile.tag} ✓ ${this.profile.frame} frame decoded successfully`)
+    console.log(`${this.profile.tag} Binary:`, this.bits.join(''))
+    console.log(`${this.profile.tag} Bytes:`, payload.length)
+    if (this.frameReader.corrections > 0) {
+      console.log(`${this.profile.tag} FEC corrected bits:`, this.frameReader.corrections)
+    }
+    this.onDecodeComplete(payload, { corrections: this.frameReader.corrections })
+  }
+
+  /**
+   * Reset receiver to initial state
+   */
+  reset() {
+    this.stop()
+    this.state = 'IDLE'
+    this.bits = []
+    this.frameReader.reset()
+    this.currentBitIndex = 0
+    this.startTime = null
+    this.lastStateChange = null
+    this.baselineBrightness = null
+    this.baselineSamples = []
+    this.isCalibrated = false
+    this.bitSampler.reset()
+    this.prevOn = null
+    this.prevSampleTime = null
+    this.startEdgeTime = null
+    this.lastBrightness = null
+    this.lastLevel = null
+    this.signalHistory = []
+  }
+}
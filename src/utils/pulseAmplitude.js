@@ -0,0 +1,174 @@
+/**
+ * Pulse Amplitude Utility
+ *
+ * 4-PAM: every symbol is one of four grey levels and carries two bits.
+ * Levels are Gray coded (00, 01, 11, 10 from dark to bright), so mistaking
+ * a level for its neighbour flips only one bit.
+ *
+ * Screen gamma and camera response make the received levels unevenly
+ * spaced, so the frame is preceded by a level-training sequence: the four
+ * levels from dark to bright, one symbol each. The receiver learns the
+ * camera-side brightness of each level from it and quantises every symbol
+ * to the nearest learned level (see LevelDetector.quantize).
+ *
+ * Symbols last BIT_DURATION and are not line coded; the symbol clock
+ * re-aligns on every level change (see bitClock.js).
+ */
+
+import { BitClock } from './bitClock'
+import { TIMING_CONFIG } from './config'
+
+// Screen colors of the four levels, dark to bright
+export const PAM4_LEVELS = ['#000000', '#555555', '#AAAAAA', '#FFFFFF']
+
+// Bits carried by one PAM-4 symbol
+export const PAM4_BITS_PER_SYMBOL = 2
+
+// Symbol bits for each level (Gray code: neighbours differ by one bit)
+const GRAY_CODE = [[0, 0], [0, 1], [1, 1], [1, 0]]
+
+/**
+ * Group frame bits into PAM-4 symbols (the last symbol is padded with a zero)
+ * @param {Array<number>} bits - Frame bits
+ * @param {number} symbolDuration - Duration of each symbol (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+ * @returns {Array<Object>} Symbols { color, duration, bitIndex, bits }
+ */
+export function encodePamSymbols(bits, symbolDuration = TIMING_CONFIG.BIT_DURATION) {
+  const symbols = []
+  for (let i = 0; i < bits.length; i += PAM4_BITS_PER_SYMBOL) {
+    const group = bits.slice(i, i + PAM4_BITS_PER_SYMBOL)
+    while (group.length < PAM4_BITS_PER_SYMBOL) group.push(0)
+    const level = GRAY_CODE.findIndex((code) => code[0] === group[0] && code[1] === group[1])
+    symbols.push({
+      color: PAM4_LEVELS[level],
+      duration: symbolDuration,
+      bitIndex: i,
+      bits: group
+    })
+  }
+  return symbols
+}
+
+/**
+ * PAM Demodulator Class
+ * Recovers bits from a stream of brightness samples: trains the level ladder
+ * of a LevelDetector on the training sequence, then quantises one symbol per unit
+ */
+export class PamDemodulator {
+  /**
+   * @param {LevelDetector} levelDetector - Detector holding the receiver's levels; its ladder is trained here
+   * @param {Object} options - Demodulator options
+   * @param {number} options.symbolDuration - Duration of one symbol (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+   */
+  constructor(levelDetector, options = {}) {
+    const { symbolDuration = TIMING_CONFIG.BIT_DURATION } = options
+    this.levelDetector = levelDetector
+    this.clock = new BitClock({ unitDuration: symbolDuration })
+    this.start(0, 0)
+  }
+
+  /**
+   * Anchor the symbol clock on the preamble; the training symbols follow it
+   * @param {number} referenceTime - Time of the preamble's rising edge (ms)
+   * @param {number} preambleDuration - Nominal preamble duration (ms)
+   * @param {Array<Object>} anchors - Observed preamble edges, see BitClock.start
+   */
+  start(referenceTime, preambleDuration, anchors = []) {
+    this.clock.start(referenceTime, preambleDuration, anchors)
+    this.symbol = 0
+    this.samples = [] // { time, brightness } of the current symbol
+    this.training = [] // mean brightness of each training symbol
+    this.trained = false
+    this.prevLevel = null
+    this.prevSampleTime = null
+    this.error = null
+  }
+
+  /**
+   * Feed one brightness sample
+   * @param {number} brightness - Sample brightness
+   * @param {number} now - Sample time (ms)
+   * @returns {Array<number>} Data bits completed by this sample (may be empty)
+   */
+  push(brightness, now) {
+    // Re-align the symbol clock whenever the quantised level changes
+    if (this.trained) {
+      const level = this.levelDetector.quantize(brightness)
+      if (this.prevLevel !== null && level !== this.prevLevel) {
+        this.clock.observeEdge((this.prevSampleTime + now) / 2)
+      }
+      this.prevLevel = level
+    }
+    this.prevSampleTime = now
+
+    const symbol = this.clock.unitAt(now)
+    const bits = []
+    while (this.symbol < symbol) {
+      bits.push(...this.finishSymbol(brightness))
+    }
+    if (symbol === this.symbol) {
+      this.samples.push({ time: now, brightness })
+    }
+    return bits
+  }
+
+  /**
+   * Decide the current symbol from its samples and move to the next one
+   * @param {number} fallback - Brightness to use if no sample landed in the symbol
+   * @returns {Array<number>} Data bits of the symbol (empty for training symbols)
+   */
+  finishSymbol(fallback) {
+    const brightness = this.averageBrightness(fallback)
+    const index = this.symbol
+    this.symbol++
+    this.samples = []
+
+    if (index < PAM4_LEVELS.length) {
+      this.training.push(brightness)
+      if (this.training.length === PAM4_LEVELS.length) {
+        this.train()
+      }
+      return []
+    }
+    return GRAY_CODE[this.levelDetector.quantize(brightness)]
+  }
+
+  /**
+   * Mean brightness of the samples in the middle half of the current symbol
+   * @param {number} fallback - Brightness to use if no sample landed in the symbol
+   * @returns {number} Brightness
+   */
+  averageBrightness(fallback) {
+    if (this.samples.length === 0) return fallback
+
+    const start = this.clock.unitStart(this.symbol)
+    const end = this.clock.unitStart(this.symbol + 1)
+    const quarter = (end - start) / 4
+    const middle = this.samples.filter((sample) => sample.time >= start + quarter && sample.time <= end - quarter)
+
+    // Low frame rates may leave the middle half empty: use the sample closest to the middle
+    const chosen = middle.length > 0
+      ? middle
+      : [this.samples.reduce((best, sample) =>
+        Math.abs(sample.time - (start + end) / 2) < Math.abs(best.time - (start + end) / 2) ? sample : best)]
+    return chosen.reduce((sum, sample) => sum + sample.brightness, 0) / chosen.length
+  }
+
+  /**
+   * Load the trained levels into the level detector
+   * The levels must rise from dark to bright by at least a share of the START contrast
+   */
+  train() {
+    const minStep = this.levelDetector.minContrast / (PAM4_LEVELS.length - 1)
+    for (let i = 1; i < this.training.length; i++) {
+      if (this.training[i] - this.training[i - 1] < minStep) {
+        this.error = `Level training failed: grey levels ${i - 1} and ${i} are indistinguishable`
+        return
+      }
+    }
+
+    this.levelDetector.setLadder(this.training)
+    this.trained = true
+    console.log(`[PamDemodulator] Levels trained: ${this.training.map((level) => level.toFixed(1)).join(', ')}`)
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest'
+import { LevelDetector } from './levelDetector'
+import { encodePamSymbols, PAM4_LEVELS, PamDemodulator } from './pulseAmplitude'
+
+// Camera frame interval of the simulated receiver (ms)
+const FRAME_INTERVAL = 1000 / 30
+
+// Symbol duration of the simulated transmitter (ms)
+const SYMBOL = 300
+
+/**
+ * Film a PAM-4 transmission (level training, then data symbols) and demodulate it
+ * @param {Array<number>} bits - Frame bits
+ * @param {Function} camera - Maps a screen grey level (0-1) to the sampled brightness
+ * @returns {Object} { bits, demodulator }
+ */
+function demodulate(bits, camera) {
+  const levels = [...PAM4_LEVELS, ...encodePamSymbols(bits, SYMBOL).map((symbol) => symbol.color)]
+    .map((color) => parseInt(color.slice(1, 3), 16) / 255)
+
+  const demodulator = new PamDemodulator(new LevelDetector(), { symbolDuration: SYMBOL })
+  demodulator.start(0, 0)
+  const decoded = []
+  const end = (levels.length + 1) * SYMBOL
+  // Stop at a training error, as the receiver does
+  for (let t = Math.random() * FRAME_INTERVAL; t < end && !demodulator.error; t += FRAME_INTERVAL) {
+    const level = levels[Math.floor(t / SYMBOL)] ?? 0
+    decoded.push(...demodulator.push(camera(level) + (Math.random() - 0.5) * 6, t))
+  }
+  return { bits: decoded, demodulator }
+}
+
+describe('encodePamSymbols', () => {
+  it('Gray codes bit pairs so neighbouring levels differ by one bit', () => {
+    const symbols = encodePamSymbols([0, 0, 0, 1, 1, 1, 1, 0, 1])
+    expect(symbols.map((symbol) => symbol.color)).toEqual([...PAM4_LEVELS, '#FFFFFF'])
+    expect(symbols[4].bits).toEqual([1, 0])
+  })
+})
+
+describe('PamDemodulator', () => {
+  it('decodes through a gamma-compressed camera response', () => {
+    // Unevenly spaced levels: dark greys crowd together
+    const gamma = (level) => 30 + 190 * Math.pow(level, 2.2)
+
+    const bits = Array.from({ length: 48 }, () => (Math.random() < 0.5 ? 1 : 0))
+    const result = demodulate(bits, gamma)
+    expect(result.demodulator.error).toBeNull()
+    expect(result.bits.slice(0, bits.length)).toEqual(bits)
+  })
+
+  it('fails training when the camera clips the bright levels together', () => {
+    const clipped = (level) => Math.min(150, 40 + 240 * level)
+    const result = demodulate([1, 0, 1, 1], clipped)
+    expect(result.demodulator.error).toMatch(/levels 2 and 3 are indistinguishable/)
+  })
+})
@@ -0,0 +1,174 @@
+/**
+ * Rate Negotiation Utility
+ *
+ * BIT_DURATION is sized for the slowest devices (30 fps cameras). At session
+ * start the gate and the phone can exchange capability frames instead, each
+ * advertising the device's measured camera sampling rate and display refresh
+ * rate, and then switch to the fastest bit duration that both directions can
+ * carry:
+ * - the receiving side takes at least SAMPLES_PER_BIT samples per bit (twice
+ *   that with Manchester, whose half-bits must be sampled too)
+ * - the sending display shows every bit for at least MIN_DISPLAY_FRAMES refreshes
+ *
+ * Capability frames are sent at the default BIT_DURATION, so a device that
+ * has not negotiated yet can always read them. Both sides compute the agreed
+ * duration from the same two capability sets, so they agree without a third frame.
+ */
+
+import { TIMING_CONFIG } from './config'
+import { supportsVideoFrameCallback } from './frameScheduler'
+import { LINE_CODING } from './lineCoding'
+
+// First byte of a capability frame
+export const CAPABILITY_MAGIC = 0xca
+
+// Capability frame: magic, sampling rate (Hz), refresh rate (Hz)
+export const CAPABILITY_BYTES = 3
+
+// Display refreshes each bit must be shown for
+const MIN_DISPLAY_FRAMES = 2
+
+// Agreed durations are rounded up to a multiple of this (ms)
+const BIT_DURATION_STEP = 10
+
+// Rate assumed when nothing can be measured (Hz)
+const FALLBACK_RATE = 30
+
+// Camera measurement gives up if frames stop for this multiple of the measurement time
+const CAMERA_TIMEOUT_FACTOR = 2
+
+/**
+ * Measure the display refresh rate from requestAnimationFrame timestamps
+ * @param {number} duration - Measurement time (ms, defaults to TIMING_CONFIG.RATE_PROBE_DURATION)
+ * @returns {Promise<number>} Refresh rate (Hz)
+ */
+export function measureRefreshRate(duration = TIMING_CONFIG.RATE_PROBE_DURATION) {
+  return new Promise((resolve) => {
+    const intervals = []
+    let last = null
+    let first = null
+
+    const tick = (timestamp) => {
+      if (last !== null) intervals.push(timestamp - last)
+      if (first === null) first = timestamp
+      last = timestamp
+
+      if (timestamp - first < duration) {
+        requestAnimationFrame(tick)
+        return
+      }
+      // Median interval: one slow frame (tab switch, GC pause) does not count
+      intervals.sort((a, b) => a - b)
+      const median = intervals[Math.floor(intervals.length / 2)]
+      resolve(median > 0 ? Math.round(1000 / median) : FALLBACK_RATE)
+    }
+    requestAnimationFrame(tick)
+  })
+}
+
+/**
+ * Measure the rate at which the camera delivers new frames
+ * Counts frames with requestVideoFrameCallback where available, otherwise
+ * trusts the frame rate reported by the camera track
+ * @param {HTMLVideoElement} video - Video element showing the camera
+ * @param {number} duration - Measurement time (ms, defaults to TIMING_CONFIG.RATE_PROBE_DURATION)
+ * @returns {Promise<number>} Camera frame rate (Hz), rejects if the camera stops delivering frames
+ */
+export function measureCameraRate(video, duration = TIMING_CONFIG.RATE_PROBE_DURATION) {
+  if (!video || typeof video.requestVideoFrameCallback !== 'function') {
+    const track = video?.srcObject?.getVideoTracks?.()[0]
+    const frameRate = track?.getSettings?.().frameRate
+    return Promise.resolve(frameRate ? Math.round(frameRate) : FALLBACK_RATE)
+  }
+
+  return new Promise((resolve, reject) => {
+    let frames = 0
+    let first = null
+    let last = null
+    const timeoutId = setTimeout(() => {
+      reject(new Error('Camera stopped delivering frames'))
+    }, duration * CAMERA_TIMEOUT_FACTOR)
+
+    const onFrame = (now, metadata) => {
+      // presentedFrames also counts frames the page was too busy to see
+      if (first === null) first = { now, presented: metadata.presentedFrames }
+      last = { now, presented: metadata.presentedFrames }
+      frames++
+
+      if (now - first.now < duration) {
+        video.requestVideoFrameCallback(onFrame)
+        return
+      }
+      clearTimeout(timeoutId)
+      const count = last.presented > first.presented ? last.presented - first.presented : frames - 1
+      resolve(count > 0 ? Math.round((1000 * count) / (last.now - first.now)) : FALLBACK_RATE)
+    }
+    video.requestVideoFrameCallback(onFrame)
+  })
+}
+
+/**
+ * Measure this device's capabilities
+ * The receivers sample once per camera frame (requestVideoFrameCallback, see
+ * frameScheduler.js); where that is missing they fall back to once per
+ * animation frame, so the sampling rate is also capped by the refresh rate
+ * @param {HTMLVideoElement} video - Video element showing the camera
+ * @returns {Promise<Object>} { sampleRate, refreshRate } (Hz, 1-255 so they fit a capability frame)
+ */
+export async function measureCapabilities(video) {
+  const [cameraRate, refreshRate] = await Promise.all([measureCameraRate(video), measureRefreshRate()])
+  const clamp = (rate) => Math.max(1, Math.min(255, rate))
+  console.log(`[RateNegotiation] Measured camera ${cameraRate} fps, display ${refreshRate} Hz`)
+  const sampleRate = supportsVideoFrameCallback(video) ? cameraRate : Math.min(cameraRate, refreshRate)
+  return { sampleRate: clamp(sampleRate), refreshRate: clamp(refreshRate) }
+}
+
+/**
+ * Build a capability frame payload
+ * @param {Object} capabilities - { sampleRate, refreshRate } from measureCapabilities
+ * @returns {Uint8Array} Payload bytes
+ */
+export function encodeCapabilities(capabilities) {
+  return new Uint8Array([CAPABILITY_MAGIC, capabilities.sampleRate, capabilities.refreshRate])
+}
+
+/**
+ * Read a capability frame payload
+ * @param {Uint8Array} payload - Decoded payload bytes
+ * @returns {Object|null} { sampleRate, refreshRate } (Hz), null if the payload is not a capability frame
+ */
+export function parseCapabilities(payload) {
+  if (!payload || payload.length !== CAPABILITY_BYTES || payload[0] !== CAPABILITY_MAGIC) {
+    return null
+  }
+  return { sampleRate: payload[1], refreshRate: payload[2] }
+}
+
+/**
+ * Shortest bit duration one direction can carry
+ * @param {Object} sender - Sender capabilities
+ * @param {Object} receiver - Receiver capabilities
+ * @param {number} samplesPerBit - Samples the receiver needs per bit
+ * @returns {number} Bit duration (ms)
+ */
+function linkBitDuration(sender, receiver, samplesPerBit) {
+  return Math.max((1000 * samplesPerBit) / receiver.sampleRate, (1000 * MIN_DISPLAY_FRAMES) / sender.refreshRate)
+}
+
+/**
+ * Agree on the bit duration for the session
+ * Symmetric: both sides get the same result from their own and the other side's capabilities
+ * @param {Object} local - This device's { sampleRate, refreshRate } (Hz)
+ * @param {Object} remote - The other device's { sampleRate, refreshRate } (Hz)
+ * @param {string} lineCoding - One of LINE_CODING (defaults to TIMING_CONFIG.LINE_CODING)
+ * @returns {number} Bit duration (ms), between MIN_BIT_DURATION and BIT_DURATION
+ */
+export function negotiateBitDuration(local, remote, lineCoding = TIMING_CONFIG.LINE_CODING) {
+  const samplesPerBit = TIMING_CONFIG.SAMPLES_PER_BIT * (lineCoding === LINE_CODING.MANCHESTER ? 2 : 1)
+  const slowest = Math.max(
+    linkBitDuration(local, remote, samplesPerBit),
+    linkBitDuration(remote, local, samplesPerBit)
+  )
+  const rounded = Math.ceil(slowest / BIT_DURATION_STEP) * BIT_DURATION_STEP
+  return Math.min(TIMING_CONFIG.BIT_DURATION, Math.max(TIMING_CONFIG.MIN_BIT_DURATION, rounded))
+}
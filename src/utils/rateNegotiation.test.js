@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest'
+import { TIMING_CONFIG } from './config'
+import { LINE_CODING } from './lineCoding'
+import { CAPABILITY_MAGIC, encodeCapabilities, negotiateBitDuration, parseCapabilities } from './rateNegotiation'
+
+const PHONE_30 = { sampleRate: 30, refreshRate: 60 }
+const GATE_60 = { sampleRate: 60, refreshRate: 60 }
+
+describe('capability frames', () => {
+  it('round-trip through encodeCapabilities and parseCapabilities', () => {
+    const payload = encodeCapabilities(GATE_60)
+    expect(Array.from(payload)).toEqual([CAPABILITY_MAGIC, 60, 60])
+    expect(parseCapabilities(payload)).toEqual(GATE_60)
+  })
+
+  it('are not confused with challenges and responses', () => {
+    expect(parseCapabilities(new Uint8Array([0x12, 60, 60]))).toBeNull()
+    expect(parseCapabilities(new Uint8Array([CAPABILITY_MAGIC, 60, 60, 0]))).toBeNull()
+    expect(parseCapabilities(null)).toBeNull()
+  })
+})
+
+describe('negotiateBitDuration', () => {
+  it('gives the slower camera SAMPLES_PER_BIT samples per bit, rounded up to 10ms', () => {
+    // 4 samples at 30 fps = 133.3ms
+    expect(negotiateBitDuration(GATE_60, PHONE_30, LINE_CODING.NRZ)).toBe(140)
+    expect(negotiateBitDuration(GATE_60, GATE_60, LINE_CODING.NRZ)).toBe(70)
+  })
+
+  it('agrees on the same duration on both sides', () => {
+    expect(negotiateBitDuration(PHONE_30, GATE_60, LINE_CODING.NRZ)).toBe(negotiateBitDuration(GATE_60, PHONE_30, LINE_CODING.NRZ))
+  })
+
+  it('doubles the samples per bit for Manchester', () => {
+    expect(negotiateBitDuration(GATE_60, PHONE_30, LINE_CODING.MANCHESTER)).toBe(270)
+  })
+
+  it('shows every bit for at least two display refreshes', () => {
+    const fastCamera = { sampleRate: 240, refreshRate: 24 }
+    // Two refreshes at 24 Hz = 83.3ms, longer than 4 samples at 240 fps
+    expect(negotiateBitDuration(fastCamera, fastCamera, LINE_CODING.NRZ)).toBe(90)
+  })
+
+  it('stays between MIN_BIT_DURATION and BIT_DURATION', () => {
+    const fast = { sampleRate: 240, refreshRate: 240 }
+    const slow = { sampleRate: 5, refreshRate: 60 }
+    expect(negotiateBitDuration(fast, fast, LINE_CODING.NRZ)).toBe(TIMING_CONFIG.MIN_BIT_DURATION)
+    expect(negotiateBitDuration(fast, slow, LINE_CODING.NRZ)).toBe(TIMING_CONFIG.BIT_DURATION)
+  })
+})
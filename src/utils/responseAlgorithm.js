@@ -0,0 +1,139 @@
+/**
+ * Response Algorithm Utility
+ *
+ * Shared challenge-response algorithms used by both sides of the exchange:
+ * the phone computes a response to the decoded challenge, the gate computes
+ * the same value to verify what it received.
+ *
+ * Algorithms:
+ * - hmac-sha256 (default): HMAC-SHA256 of the challenge keyed with a shared
+ *   secret, truncated to the response size. Uses the Web Crypto API. There
+ *   is no built-in secret: without VITE_GATE_SHARED_SECRET both sides fall
+ *   back to the demo algorithm with a warning, and the keyed algorithm
+ *   refuses to run.
+ * - demo: the original additive rule (byte + 10) % 256, applied to every
+ *   challenge byte. Anyone who knows the rule can open the gate, so it is
+ *   only meant for demonstrations.
+ *
+ * Challenges and responses are byte arrays (Uint8Array).
+ */
+
+import { bytesEqual } from './framing'
+
+// Shared secret for keyed algorithms. Set VITE_GATE_SHARED_SECRET in .env.local
+const SHARED_SECRET = import.meta.env.VITE_GATE_SHARED_SECRET || null
+
+// Configurable response settings
+export const RESPONSE_CONFIG = {
+  ALGORITHM: SHARED_SECRET ? 'hmac-sha256' : 'demo',  // Default algorithm used by both phone and gate
+  SHARED_SECRET,                                      // null when unset: keyed algorithms refuse to run
+  RESPONSE_BYTES: 4                                   // Size of the truncated response (bytes)
+}
+
+if (!SHARED_SECRET) {
+  console.warn('[ResponseAlgorithm] VITE_GATE_SHARED_SECRET is not set: using the demo algorithm, anyone who knows it can open the gate')
+}
+
+// Cache of imported HMAC keys, indexed by secret
+const hmacKeyCache = new Map()
+
+/**
+ * Import (or reuse) an HMAC-SHA256 key for the given secret
+ * @param {string} secret - Shared secret
+ * @returns {Promise<CryptoKey>} Imported key usable for signing
+ */
+async function getHmacKey(secret) {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    throw new Error('Web Crypto is not available (a secure context is required)')
+  }
+
+  if (!hmacKeyCache.has(secret)) {
+    const keyData = new TextEncoder().encode(secret)
+    hmacKeyCache.set(
+      secret,
+      crypto.subtle.importKey('raw', keyData, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    )
+  }
+  return hmacKeyCache.get(secret)
+}
+
+/**
+ * Available response algorithms, indexed by name
+ * Each algorithm exposes computeResponse(challenge, options) returning a Promise
+ */
+const algorithms = {
+  'hmac-sha256': {
+    description: 'Truncated HMAC-SHA256 keyed with a shared secret',
+    async computeResponse(challenge, { secret, responseBytes }) {
+      if (!secret) {
+        throw new Error('hmac-sha256 needs a shared secret (set VITE_GATE_SHARED_SECRET)')
+      }
+      const key = await getHmacKey(secret)
+      const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, challenge))
+      // Truncate to the configured response size
+      return signature.slice(0, responseBytes)
+    }
+  },
+  demo: {
+    description: 'Demo only: (byte + 10) % 256 for every challenge byte',
+    async computeResponse(challenge) {
+      return challenge.map((byte) => (byte + 10) % 256)
+    }
+  }
+}
+
+/**
+ * Register an additional response algorithm
+ * @param {string} name - Algorithm name
+ * @param {Object} algorithm - Object with an async computeResponse(challenge, options)
+ */
+export function registerResponseAlgorithm(name, algorithm) {
+  if (!algorithm || typeof algorithm.computeResponse !== 'function') {
+    throw new Error(`Response algorithm "${name}" must implement computeResponse()`)
+  }
+  algorithms[name] = algorithm
+}
+
+/**
+ * Get the names of all registered response algorithms
+ * @returns {Array<string>} Algorithm names
+ */
+export function getResponseAlgorithms() {
+  return Object.keys(algorithms)
+}
+
+/**
+ * Compute the response for a challenge
+ * @param {Uint8Array} challenge - Challenge bytes
+ * @param {Object} options - Optional overrides
+ * @param {string} options.algorithm - Algorithm name (defaults to RESPONSE_CONFIG.ALGORITHM)
+ * @param {string} options.secret - Shared secret (defaults to RESPONSE_CONFIG.SHARED_SECRET)
+ * @param {number} options.responseBytes - Response size (defaults to RESPONSE_CONFIG.RESPONSE_BYTES)
+ * @returns {Promise<Uint8Array>} Response bytes
+ */
+export async function computeResponse(challenge, options = {}) {
+  const {
+    algorithm = RESPONSE_CONFIG.ALGORITHM,
+    secret = RESPONSE_CONFIG.SHARED_SECRET,
+    responseBytes = RESPONSE_CONFIG.RESPONSE_BYTES,
+  } = options
+
+  const impl = algorithms[algorithm]
+  if (!impl) {
+    throw new Error(`Unknown response algorithm: ${algorithm}`)
+  }
+
+  return impl.computeResponse(challenge, { secret, responseBytes })
+}
+
+/**
+ * Verify a received response against the challenge
+ * @param {Uint8Array} challenge - Original challenge sent
+ * @param {Uint8Array} receivedResponse - Response received from phone
+ * @param {Object} options - Same options as computeResponse
+ * @returns {Promise<boolean>} True if response is correct
+ */
+export async function verifyResponse(challenge, receivedResponse, options = {}) {
+  const expectedResponse = await computeResponse(challenge, options)
+  return bytesEqual(receivedResponse, expectedResponse)
+}
@@ -0,0 +1,296 @@
+/**
+ * Rolling Shutter Utility
+ *
+ * CMOS cameras expose the rows of a frame one after another, so an LED
+ * blinking at several kHz shows up as horizontal stripes within a single
+ * frame. Reading the row-wise brightness profile instead of a frame average
+ * turns every frame into a burst of bits (8 frame bits per 9.5ms chunk at
+ * the default RS_HALF_BIT_DURATION, against 3.3 bit/s for screen flashing).
+ *
+ * The camera only sees part of each packet repetition (a frame shows about
+ * 20ms of LED time, the rest falls into the readout gap between frames), so
+ * the frame bits (length header, payload, CRC; see framing.js) are split into
+ * short chunks that each fit in a frame. The LED repeats the chunks back to back:
+ * - sync: ON for 3 half-bits, then OFF for 3 half-bits (never occurs in Manchester data)
+ * - chunk index (STRIPE_INDEX_BITS) and its even parity bit
+ * - STRIPE_CHUNK_BITS frame bits (the last chunk is padded with zeros)
+ * Index and bits are Manchester coded (1 = OFF→ON, 0 = ON→OFF), so data
+ * stripes are never longer than two half-bits.
+ *
+ * The stripe width depends on the camera's row readout time, so the receiver
+ * measures the half-bit height in rows from the stripes themselves. Every
+ * complete chunk in a frame votes for its bits; the frame is accepted once
+ * every bit has RS_MIN_VOTES votes.
+ * Requires gate hardware that can switch an LED at kHz rates; screens cannot.
+ */
+
+import { TIMING_CONFIG } from './config'
+import { bitsToNumber, FrameReader, encodeFrame, numberToBits } from './framing'
+import { fitCanvas } from './frameSampler'
+
+// Sync marker in half-bits
+export const STRIPE_SYNC = [1, 1, 1, 0, 0, 0]
+
+// Frame bits carried by one chunk
+export const STRIPE_CHUNK_BITS = 8
+
+// Bits of the chunk index (enough for the largest frame with FEC)
+export const STRIPE_INDEX_BITS = 7
+
+// Manchester-coded bits following the sync: index, parity, frame bits
+const CHUNK_CODED_BITS = STRIPE_INDEX_BITS + 1 + STRIPE_CHUNK_BITS
+
+// Half-bit runs of at least this length mark the sync (Manchester data runs are 1 or 2)
+const SYNC_RUN = 3
+
+// Fewer interior stripes than this are not enough to measure the half-bit height
+const MIN_RUNS = 8
+
+/**
+ * Build the LED half-bit sequence for one packet (repeat it back to back)
+ * @param {Uint8Array} payload - Payload bytes
+ * @param {Object} options - Frame options (fec), see encodeFrame
+ * @returns {Array<number>} LED states per half-bit (1 = ON), each lasting RS_HALF_BIT_DURATION
+ */
+export function buildStripePacket(payload, options = {}) {
+  const bits = encodeFrame(payload, options)
+  const halves = []
+  for (let start = 0; start < bits.length; start += STRIPE_CHUNK_BITS) {
+    const index = numberToBits(start / STRIPE_CHUNK_BITS, STRIPE_INDEX_BITS)
+    const parity = index.reduce((sum, bit) => sum ^ bit, 0)
+    const data = bits.slice(start, start + STRIPE_CHUNK_BITS)
+    while (data.length < STRIPE_CHUNK_BITS) data.push(0)
+
+    halves.push(...STRIPE_SYNC)
+    for (const bit of [...index, parity, ...data]) {
+      halves.push(...(bit === 1 ? [0, 1] : [1, 0]))
+    }
+  }
+  return halves
+}
+
+/**
+ * Row-wise mean brightness of the current video frame
+ * The frame is squeezed horizontally only, so every camera row is kept
+ * @param {HTMLVideoElement} video - Video element to sample from
+ * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+ * @param {number} width - Width the frame is squeezed to (pixels, defaults to TIMING_CONFIG.RS_PROFILE_WIDTH)
+ * @returns {Float32Array|null} Brightness per row (0-255), null if no frame is available
+ */
+export function sampleRowProfile(video, canvas, width = TIMING_CONFIG.RS_PROFILE_WIDTH) {
+  if (!video || !canvas || video.readyState !== video.HAVE_ENOUGH_DATA) {
+    return null
+  }
+
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return null
+
+  const height = video.videoHeight
+  fitCanvas(canvas, width, height)
+  ctx.drawImage(video, 0, 0, width, height)
+  const { data } = ctx.getImageData(0, 0, width, height)
+
+  const profile = new Float32Array(height)
+  for (let y = 0; y < height; y++) {
+    let sum = 0
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4
+      sum += data[i] + data[i + 1] + data[i + 2]
+    }
+    profile[y] = sum / (3 * width)
+  }
+  return profile
+}
+
+/**
+ * Stripe Decoder Class
+ * Turns row profiles into votes for the frame bits of the repeated packet
+ */
+export class StripeDecoder {
+  /**
+   * @param {Object} options - Decoder options
+   * @param {string} options.fec - FEC scheme (defaults to FRAME_CONFIG.FEC)
+   * @param {number} options.window - Rows around each row searched for the stripe levels it is sliced between (defaults to TIMING_CONFIG.RS_THRESHOLD_WINDOW)
+   * @param {number} options.minContrast - Smallest stripe contrast; flatter rows are treated as gaps (defaults to TIMING_CONFIG.MIN_LEVEL_CONTRAST)
+   * @param {number} options.minVotes - Votes needed for every bit before the frame is accepted (defaults to TIMING_CONFIG.RS_MIN_VOTES)
+   */
+  constructor(options = {}) {
+    const {
+      fec,
+      window = TIMING_CONFIG.RS_THRESHOLD_WINDOW,
+      minContrast = TIMING_CONFIG.MIN_LEVEL_CONTRAST,
+      minVotes = TIMING_CONFIG.RS_MIN_VOTES,
+    } = options
+
+    this.fec = fec
+    this.window = window
+    this.minContrast = minContrast
+    this.minVotes = minVotes
+    this.reset()
+  }
+
+  /**
+   * Forget all votes
+   */
+  reset() {
+    this.votes = [] // [zeros, ones] per frame bit
+    this.synced = false
+    this.halfBitRows = null
+  }
+
+  /**
+   * Feed one row profile
+   * @param {Float32Array} profile - Brightness per row
+   * @returns {Array<number>|null} Frame bits once every bit has enough votes, otherwise null
+   */
+  push(profile) {
+    for (const segment of this.findRuns(profile)) {
+      this.vote(segment)
+    }
+    return this.collect()
+  }
+
+  /**
+   * Slice the profile at the local midpoint between dark and bright stripes and split it into runs
+   * Rows without stripe contrast (no LED, readout gaps) end a segment
+   * @param {Float32Array} profile - Brightness per row
+   * @returns {Array<Array<Object>>} Segments of runs { level, length }
+   */
+  findRuns(profile) {
+    const rows = profile.length
+    const half = Math.floor(this.window / 2)
+
+    const segments = []
+    let runs = []
+    let current = null
+    for (let y = 0; y < rows; y++) {
+      let min = Infinity
+      let max = -Infinity
+      for (let k = Math.max(0, y - half); k < Math.min(rows, y + half + 1); k++) {
+        min = Math.min(min, profile[k])
+        max = Math.max(max, profile[k])
+      }
+
+      if (max - min < this.minContrast) {
+        // No stripes here: close the segment
+        if (current) runs.push(current)
+        if (runs.length > 0) segments.push(runs)
+        runs = []
+        current = null
+        continue
+      }
+
+      const level = profile[y] > (min + max) / 2 ? 1 : 0
+      if (current && current.level === level) {
+        current.length++
+      } else {
+        if (current) runs.push(current)
+        current = { level, length: 1 }
+      }
+    }
+    if (current) runs.push(current)
+    if (runs.length > 0) segments.push(runs)
+    return segments
+  }
+
+  /**
+   * Estimate the half-bit height in rows from the interior runs of all segments
+   * Runs are whole multiples of it (1 or 2 in data, 3 or 4 in the sync)
+   * @param {Array<Array<Object>>} segments - Segments of runs
+   * @returns {number|null} Rows per half-bit, null if there are too few stripes
+   */
+  estimateHalfBit(segments) {
+    // The first and last run of a segment are cut off by its ends
+    const lengths = segments.flatMap((runs) => runs.slice(1, -1).map((run) => run.length)).sort((a, b) => a - b)
+    if (lengths.length < MIN_RUNS) return null
+
+    const shortest = lengths[Math.floor(lengths.length / 10)]
+    let best = null
+    let bestCost = Infinity
+    for (let candidate = 0.7 * shortest; candidate <= 1.3 * shortest; candidate += 0.02 * shortest) {
+      const cost = lengths.reduce((sum, length) => sum + (length / candidate - Math.max(1, Math.round(length / candidate))) ** 2, 0)
+      if (cost < bestCost) {
+        bestCost = cost
+        best = candidate
+      }
+    }
+    return best
+  }
+
+  /**
+   * Add the bits of every complete chunk in one segment to the votes
+   * @param {Array<Object>} runs - Runs { level, length } of the segment
+   */
+  vote(runs) {
+    this.halfBitRows = this.estimateHalfBit([runs]) ?? this.halfBitRows
+    if (this.halfBitRows === null) return
+
+    // Runs in half-bits; a sync is an ON run of 3 followed by an OFF run of 3,
+    // either of which may run one half-bit longer into the neighbouring data
+    const halves = []
+    const syncs = [] // first half-bit of each chunk's index
+    runs.forEach((run, i) => {
+      const count = Math.max(1, Math.round(run.length / this.halfBitRows))
+      const prev = runs[i - 1]
+      if (run.level === 0 && count >= SYNC_RUN && prev && prev.level === 1 &&
+        Math.round(prev.length / this.halfBitRows) >= SYNC_RUN) {
+        syncs.push(halves.length + SYNC_RUN)
+      }
+      for (let k = 0; k < count; k++) halves.push(run.level)
+    })
+    if (syncs.length > 0) this.synced = true
+
+    // The last run is cut off by the segment end: its half-bit count is unreliable
+    const end = halves.length - Math.max(1, Math.round(runs[runs.length - 1].length / this.halfBitRows))
+
+    for (const start of syncs) {
+      if (start + 2 * CHUNK_CODED_BITS > end) continue
+
+      const coded = []
+      for (let h = start; h < start + 2 * CHUNK_CODED_BITS; h += 2) {
+        coded.push(halves[h] === halves[h + 1] ? null : halves[h + 1])
+      }
+      // A chunk with an unreadable index cannot be placed
+      const index = coded.slice(0, STRIPE_INDEX_BITS + 1)
+      if (index.includes(null) || index.reduce((sum, bit) => sum ^ bit, 0) !== 0) continue
+
+      const offset = bitsToNumber(index.slice(0, STRIPE_INDEX_BITS)) * STRIPE_CHUNK_BITS
+      coded.slice(STRIPE_INDEX_BITS + 1).forEach((bit, k) => {
+        if (bit === null) return
+        if (!this.votes[offset + k]) this.votes[offset + k] = [0, 0]
+        this.votes[offset + k][bit]++
+      })
+    }
+  }
+
+  /**
+   * Assemble the frame once every bit has enough votes
+   * @returns {Array<number>|null} Frame bits, or null while bits are missing
+   */
+  collect() {
+    const decide = (zeros, ones) => (zeros + ones >= this.minVotes ? (ones > zeros ? 1 : 0) : null)
+
+    // The length header gives the frame size
+    const reader = new FrameReader({ fec: this.fec })
+    for (let k = 0; reader.expectedBits === null && !reader.error; k++) {
+      const [zeros, ones] = this.votes[k] ?? [0, 0]
+      const bit = decide(zeros, ones)
+      if (bit === null) return null
+      reader.push(bit)
+    }
+    if (reader.error) {
+      // Garbage header: most likely a misread sync, start over
+      this.reset()
+      return null
+    }
+
+    const bits = []
+    for (let k = 0; k < reader.expectedBits; k++) {
+      const [zeros, ones] = this.votes[k] ?? [0, 0]
+      const bit = decide(zeros, ones)
+      if (bit === null) return null
+      bits.push(bit)
+    }
+    return bits
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Sampling Worker
+ *
+ * Samples camera frames off the main thread (see frameSampler.js). Each
+ * message carries one ImageBitmap and a request naming the measurements the
+ * receiver needs. The bitmap is downscaled onto a persistent OffscreenCanvas
+ * and measured there with the receivers' own samplers; only the numbers are
+ * posted back, with the time the bitmap was grabbed, and their typed arrays
+ * are transferred instead of copied.
+ */
+
+import { sampleRegionColor } from './colorShiftKeying'
+import { sampleBlockGrid } from './emitterLocator'
+import { measureRegion } from './exposureCompensation'
+import { sampleRowProfile } from './rollingShutter'
+import { captureGrayFrame } from './tileGrid'
+
+// Downscaled frame, set up to be sampled like a video element
+let frame = null
+
+// One scratch canvas per measurement, so none is resized every frame
+const canvases = {}
+
+/**
+ * Scratch canvas for one kind of measurement
+ * @param {string} kind - Measurement name
+ * @returns {OffscreenCanvas} Canvas (sized by the sampler that draws on it)
+ */
+function scratch(kind) {
+  if (!canvases[kind]) {
+    canvases[kind] = new OffscreenCanvas(1, 1)
+  }
+  return canvases[kind]
+}
+
+/**
+ * Downscale a bitmap onto the persistent frame canvas
+ * @param {ImageBitmap} bitmap - Camera frame
+ * @param {number} maxWidth - Width to scale to (never up)
+ * @param {boolean} fullHeight - Keep every row instead of the aspect ratio
+ */
+function downscale(bitmap, maxWidth, fullHeight) {
+  const width = Math.max(1, Math.min(maxWidth, bitmap.width))
+  const height = fullHeight ? bitmap.height : Math.max(1, Math.round((width * bitmap.height) / bitmap.width))
+
+  // Resizing a canvas reallocates it: only when the camera resolution changes
+  if (!frame) {
+    frame = new OffscreenCanvas(width, height)
+    frame.HAVE_ENOUGH_DATA = 4
+    frame.readyState = 4
+  } else if (frame.width !== width || frame.height !== height) {
+    frame.width = width
+    frame.height = height
+  }
+  frame.videoWidth = width
+  frame.videoHeight = height
+
+  frame.getContext('2d', { willReadFrequently: true }).drawImage(bitmap, 0, 0, width, height)
+}
+
+/**
+ * Measure one frame
+ * @param {MessageEvent} event - { bitmap, time, width, fullHeight, request }: the frame is scaled to
+ *   width pixels (never up), keeping every row with fullHeight, otherwise the aspect ratio. request
+ *   holds channel and, for each measurement wanted, its parameters: blocks { cols, rows },
+ *   region { region, ringScale }, color (ROI), gray (width), profile (width)
+ */
+self.onmessage = (event) => {
+  const { bitmap, time, width, fullHeight, request } = event.data
+  downscale(bitmap, width, fullHeight)
+  bitmap.close()
+
+  const { channel } = request
+  const measured = {}
+  const transfer = []
+
+  if (request.blocks) {
+    measured.blocks = sampleBlockGrid(frame, scratch('blocks'), request.blocks.cols, request.blocks.rows, channel)
+    transfer.push(measured.blocks.buffer)
+  }
+  if (request.region) {
+    measured.region = measureRegion(frame, scratch('region'), request.region.region, request.region.ringScale, channel)
+  }
+  if (request.color) {
+    measured.color = sampleRegionColor(frame, request.color)
+  }
+  if (request.gray) {
+    measured.gray = captureGrayFrame(frame, scratch('gray'), request.gray, channel)
+    transfer.push(measured.gray.data.buffer)
+  }
+  if (request.profile) {
+    measured.profile = sampleRowProfile(frame, scratch('profile'), request.profile)
+    transfer.push(measured.profile.buffer)
+  }
+
+  self.postMessage({ time, measured }, transfer)
+}
@@ -5,36 +5,27 @@
  * Uses full-screen overlay with backgroundColor changes.
  * Protocol matches the gate's protocol:
  * - START: white (ON) for 1000ms
- * - 8 bits (MSB first), each bit lasts 300ms
+ * - Frame bits (length header + payload, MSB first), each bit lasts 300ms
  *   - 1 = white (ON)
  *   - 0 = black (OFF)
  * - END: black (OFF) for 1000ms
  */
 
-import { TIMING_CONFIG } from './flashDecoder'
-
-/**
- * Convert a number to 8-bit binary array (MSB first)
- * @param {number} value - Value to convert (0-255)
- * @returns {Array<number>} Array of 8 bits (MSB first)
- */
-export function numberToBits(value) {
-  const bits = []
-  for (let i = 7; i >= 0; i--) {
-    bits.push((value >> i) & 1)
-  }
-  return bits
-}
+import { buildFlashSequence } from './flashSequence'
+import { paintStep } from './tileGrid'
 
 /**
  * Flash the screen to send response to gate
- * @param {number} responseValue - Response value to send (0-255)
+ * @param {Uint8Array} responseValue - Response bytes to send
  * @param {Function} onComplete - Callback when flashing is complete
  * @param {Function} onProgress - Optional callback for progress updates
+ * @param {Object} options - Optional transmission options (fec, lineCoding, modulation, bitDuration, channel), see buildFlashSequence
+ * @param {Function} options.onEmit - Called with (step, time) as each step is painted and (null, time) when the flashing ends,
+ *   e.g. SelfInterferenceCanceller.emit
  * @returns {Function} Function to cancel the flashing
  */
-export function flashScreen(responseValue, onComplete, onProgress) {
-  const bits = numberToBits(responseValue)
+export function flashScreen(responseValue, onComplete, onProgress, options = {}) {
+  const steps = buildFlashSequence(responseValue, options)
   let currentStep = 0
   let timeoutId = null
   let isCancelled = false
@@ -79,9 +70,10 @@ export function flashScreen(responseValue, onComplete, onProgress) {
       return
     }
 
-    // Update overlay color
-    flashOverlay.style.backgroundColor = step.color
+    // Update overlay color (or tiles)
+    paintStep(flashOverlay, step)
     flashOverlay.style.transition = `background-color ${step.duration}ms linear`
+    if (options.onEmit) options.onEmit(step, performance.now())
 
     if (onProgress && step.description) {
       onProgress(step.description)
@@ -106,35 +98,9 @@ export function flashScreen(responseValue, onComplete, onProgress) {
       flashOverlay.style.display = 'none'
       flashOverlay.style.backgroundColor = 'transparent'
     }
+    if (options.onEmit) options.onEmit(null, performance.now())
   }
 
-  // Build flashing sequence
-  const steps = [
-    // START signal: white for START_DURATION
-    {
-      color: '#FFFFFF', // White = ON
-      duration: TIMING_CONFIG.START_DURATION,
-      description: 'Sending START signal'
-    }
-  ]
-
-  // Add 8 bits
-  for (let i = 0; i < 8; i++) {
-    const bit = bits[i]
-    steps.push({
-      color: bit === 1 ? '#FFFFFF' : '#000000', // White = ON, Black = OFF
-      duration: TIMING_CONFIG.BIT_DURATION,
-      description: `Sending bit ${i + 1}/8: ${bit}`
-    })
-  }
-
-  // END signal: black for END_DURATION
-  steps.push({
-    color: '#000000', // Black = OFF
-    duration: TIMING_CONFIG.END_DURATION,
-    description: 'Sending END signal'
-  })
-
   // Start flashing sequence
   executeStep()
 
@@ -148,13 +114,16 @@ export function flashScreen(responseValue, onComplete, onProgress) {
 /**
  * Flash screen using requestAnimationFrame for 30+ fps smooth updates
  * Updates screen continuously at display refresh rate (typically 60fps, minimum 30fps)
- * @param {number} responseValue - Response value to send (0-255)
+ * @param {Uint8Array} responseValue - Response bytes to send
  * @param {Function} onComplete - Callback when flashing is complete
  * @param {Function} onProgress - Optional callback for progress updates
+ * @param {Object} options - Optional transmission options (fec, lineCoding, modulation, bitDuration, channel), see buildFlashSequence
+ * @param {Function} options.onEmit - Called with (step, time) as each step is painted and (null, time) when the flashing ends,
+ *   e.g. SelfInterferenceCanceller.emit
  * @returns {Function} Function to cancel the flashing
  */
-export function flashScreenRAF(responseValue, onComplete, onProgress) {
-  const bits = numberToBits(responseValue)
+export function flashScreenRAF(responseValue, onComplete, onProgress, options = {}) {
+  const sequence = buildFlashSequence(responseValue, options)
   let startTime = null
   let isCancelled = false
   let animationFrameId = null
@@ -182,19 +151,9 @@ export function flashScreenRAF(responseValue, onComplete, onProgress) {
   flashOverlay.style.zIndex = '99999'
   flashOverlay.style.transition = 'none'
 
-  // Build sequence: START + 8 bits + END
-  const sequence = [
-    { color: '#FFFFFF', duration: TIMING_CONFIG.START_DURATION, desc: 'START' },
-    ...bits.map((bit, i) => ({
-      color: bit === 1 ? '#FFFFFF' : '#000000',
-      duration: TIMING_CONFIG.BIT_DURATION,
-      desc: `Bit ${i + 1}`
-    })),
-    { color: '#000000', duration: TIMING_CONFIG.END_DURATION, desc: 'END' }
-  ]
-
   let currentStep = 0
   let stepStartTime = 0
+  let emittedStep = -1
 
   function animate(timestamp) {
     if (isCancelled) {
@@ -207,6 +166,19 @@ export function flashScreenRAF(responseValue, onComplete, onProgress) {
       stepStartTime = timestamp
     }
 
+    // Move past every step whose time is up. Steps are scheduled against the
+    // sequence start (stepStartTime advances by the step duration, not to the
+    // current frame), so rounding each step to whole display frames does not
+    // add up over the frame
+    while (currentStep < sequence.length && timestamp - stepStartTime >= sequence[currentStep].duration) {
+      stepStartTime += sequence[currentStep].duration
+      currentStep++
+      lastProgressUpdate = timestamp
+      if (onProgress && currentStep < sequence.length) {
+        onProgress(sequence[currentStep].description)
+      }
+    }
+
     if (currentStep >= sequence.length) {
       // All steps complete
       cleanup()
@@ -217,25 +189,19 @@ export function flashScreenRAF(responseValue, onComplete, onProgress) {
     const step = sequence[currentStep]
     const stepElapsed = timestamp - stepStartTime
 
-    // Continuously update color at 30+ fps (requestAnimationFrame typically runs at 60fps)
+    // Continuously update color (or tiles) at 30+ fps (requestAnimationFrame typically runs at 60fps)
     // This ensures smooth rendering and better camera detection
-    flashOverlay.style.backgroundColor = step.color
+    paintStep(flashOverlay, step)
+    if (options.onEmit && emittedStep !== currentStep) {
+      options.onEmit(step, timestamp)
+      emittedStep = currentStep
+    }
 
     // Update progress every ~100ms to avoid too frequent callbacks
     if (onProgress && timestamp - lastProgressUpdate > 100) {
       const progress = Math.min(100, (stepElapsed / step.duration) * 100)
-      onProgress(`${step.desc} (${Math.round(progress)}%)`)
-      lastProgressUpdate = timestamp
-    }
-
-    if (stepElapsed >= step.duration) {
-      // Move to next step
-      currentStep++
-      stepStartTime = timestamp
+      onProgress(`${step.description} (${Math.round(progress)}%)`)
       lastProgressUpdate = timestamp
-      if (onProgress && currentStep < sequence.length) {
-        onProgress(sequence[currentStep].desc)
-      }
     }
 
     // Continue animation loop (runs at display refresh rate, typically 60fps)
@@ -252,6 +218,7 @@ export function flashScreenRAF(responseValue, onComplete, onProgress) {
       flashOverlay.style.backgroundColor = 'transparent'
       flashOverlay.style.willChange = 'auto'
     }
+    if (options.onEmit) options.onEmit(null, performance.now())
   }
 
   // Start animation loop (runs at display refresh rate, minimum 30fps)
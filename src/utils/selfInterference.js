@@ -0,0 +1,190 @@
+/**
+ * Self-Interference Utility
+ *
+ * In front-camera mode the phone receives with the camera above its screen,
+ * and the screen keeps facing the gate while it flashes the response. The
+ * flashes light up the gate housing and everything else in view, so the
+ * phone's own signal shows up in the brightness it receives.
+ *
+ * The phone knows what it shows: the screen flasher reports every step it
+ * paints (onEmit), and only how strongly that light couples into the ROI is
+ * unknown. The canceller learns the coupling from the brightness step across
+ * each of the phone's own transitions (frames close to a transition are
+ * skipped) and subtracts the predicted contribution from every sample. A
+ * gate transition at the same moment spoils an estimate; with both sides
+ * at the same bit rate that can happen on every other transition, so the
+ * coupling is the median of many recent estimates: the gate's rises and
+ * falls push the spoilt ones up and down alike, and the median stays among
+ * the clean ones as long as they are not outnumbered on either side.
+ *
+ * The coupling is a single gain on the overall screen level, so colour
+ * samples (colour-shift keying) and tile grids are not corrected.
+ */
+
+import { TIMING_CONFIG } from './config'
+import { FLASH_COLORS } from './flashSequence'
+
+// Emissions kept to look up the screen level of recent frames (ms)
+const EMISSION_HISTORY = 5000
+
+// Smallest change in screen level the coupling is learned from (0-255)
+const MIN_LEVEL_STEP = 32
+
+// Estimates needed before the coupling is used (a single one may coincide with a gate transition)
+const MIN_ESTIMATES = 3
+
+/**
+ * Overall light level of a flash step
+ * @param {Object} step - Step from buildFlashSequence (color, or tiles with tileColor)
+ * @returns {number} Mean of the R, G and B levels over the screen (0-255)
+ */
+export function stepLevel(step) {
+  const color = step.tiles ? (step.tileColor ?? FLASH_COLORS.ON) : step.color
+  const rgb = [1, 3, 5].map((i) => parseInt(color.substr(i, 2), 16))
+  const level = (rgb[0] + rgb[1] + rgb[2]) / 3
+  return step.tiles ? (level * step.tiles.filter(Boolean).length) / step.tiles.length : level
+}
+
+/**
+ * Self-Interference Canceller Class
+ * Removes the phone's own screen flashes from the received brightness
+ */
+export class SelfInterferenceCanceller {
+  /**
+   * @param {Object} options - Canceller options
+   * @param {number} options.latency - Time from painting a step to the camera seeing it (ms, defaults to TIMING_CONFIG.SELF_EMIT_LATENCY)
+   * @param {number} options.guard - Frames this close to a transition are not learned from (ms, defaults to TIMING_CONFIG.SELF_GUARD_TIME)
+   * @param {number} options.estimates - Recent coupling estimates the coupling is averaged from (defaults to TIMING_CONFIG.SELF_COUPLING_ESTIMATES)
+   */
+  constructor(options = {}) {
+    const {
+      latency = TIMING_CONFIG.SELF_EMIT_LATENCY,
+      guard = TIMING_CONFIG.SELF_GUARD_TIME,
+      estimates = TIMING_CONFIG.SELF_COUPLING_ESTIMATES,
+    } = options
+
+    this.latency = latency
+    this.guard = guard
+    this.estimateCount = estimates
+    // Frames on both sides of one transition: a guard each, plus a frame interval each
+    this.maxGap = 2 * guard + 2 * TIMING_CONFIG.SAMPLE_INTERVAL
+
+    this.emissions = [] // { time, level } with time when the camera sees it, oldest first
+    this.estimates = []
+    this.coupling = null
+    this.lastSteady = null // last sample away from a transition: { brightness, time, level }
+  }
+
+  /**
+   * Record a step the screen has just painted (pass as the flasher's onEmit option)
+   * @param {Object|null} step - Step from buildFlashSequence, null when the flashing ends
+   * @param {number} time - Time the step was painted (ms)
+   */
+  emit(step, time = performance.now()) {
+    const level = step ? stepLevel(step) : 0
+    const last = this.emissions[this.emissions.length - 1]
+    if (last && last.level === level) return
+
+    this.emissions.push({ time: time + this.latency, level })
+    // The oldest kept emission still gives the level before the later ones
+    while (this.emissions.length > 1 && this.emissions[1].time < time - EMISSION_HISTORY) {
+      this.emissions.shift()
+    }
+  }
+
+  /**
+   * Whether the screen is showing a flash step
+   * @returns {boolean} true between the first step and the end of the flashing
+   */
+  get active() {
+    const last = this.emissions[this.emissions.length - 1]
+    return !!last && last.level > 0
+  }
+
+  /**
+   * Screen level the camera saw at a time
+   * @param {number} time - Frame time (ms)
+   * @returns {number} Screen level (0-255), 0 for the app's black background
+   */
+  levelAt(time) {
+    let level = 0
+    for (const emission of this.emissions) {
+      if (emission.time > time) break
+      level = emission.level
+    }
+    return level
+  }
+
+  /**
+   * Count the screen transitions between two times
+   * @param {number} from - Start time (ms)
+   * @param {number} to - End time (ms)
+   * @returns {number} Number of emissions in (from, to]
+   */
+  transitionsBetween(from, to) {
+    return this.emissions.filter((emission) => emission.time > from && emission.time <= to).length
+  }
+
+  /**
+   * Whether a frame may have been exposed while the screen was changing
+   * @param {number} time - Frame time (ms)
+   * @returns {boolean} true if a transition lies within the guard time
+   */
+  nearTransition(time) {
+    return this.emissions.some((emission) => Math.abs(emission.time - time) < this.guard)
+  }
+
+  /**
+   * Learn the coupling from a sample away from the transitions
+   * A sample on the other side of one transition from the last such sample gives an estimate
+   * @param {number} brightness - Raw sample brightness
+   * @param {number} time - Frame time (ms)
+   * @param {number} level - Screen level at that time
+   */
+  learn(brightness, time, level) {
+    const previous = this.lastSteady
+    this.lastSteady = { brightness, time, level }
+    if (!previous || Math.abs(level - previous.level) < MIN_LEVEL_STEP) return
+    if (time - previous.time > this.maxGap || this.transitionsBetween(previous.time, time) !== 1) return
+
+    this.estimates.push((brightness - previous.brightness) / (level - previous.level))
+    if (this.estimates.length > this.estimateCount) this.estimates.shift()
+    if (this.estimates.length < MIN_ESTIMATES) return
+    const sorted = [...this.estimates].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    this.coupling = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  }
+
+  /**
+   * Predicted contribution of the screen to a sample
+   * @param {number} time - Frame time (ms)
+   * @returns {number|null} Brightness added by the screen, null while the coupling is unknown
+   */
+  predict(time) {
+    const level = this.levelAt(time)
+    if (level === 0) return 0
+    return this.coupling === null ? null : this.coupling * level
+  }
+
+  /**
+   * Learn from a live sample and remove the screen's contribution
+   * @param {number} brightness - Raw sample brightness
+   * @param {number} time - Frame time (ms)
+   * @returns {number|null} Corrected brightness, null if the screen is lit and the coupling is still unknown
+   */
+  cancel(brightness, time) {
+    if (!this.nearTransition(time)) {
+      this.learn(brightness, time, this.levelAt(time))
+    }
+    const contribution = this.predict(time)
+    return contribution === null ? null : brightness - contribution
+  }
+
+  /**
+   * Forget the screen history (the coupling is kept: it only changes when the phone moves)
+   */
+  reset() {
+    this.emissions = []
+    this.lastSteady = null
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest'
+import { TIMING_CONFIG } from './config'
+import { buildFlashSequence } from './flashSequence'
+import { SelfInterferenceCanceller, stepLevel } from './selfInterference'
+
+// Camera frame interval of the simulated receiver (ms)
+const FRAME_INTERVAL = 1000 / 30
+
+// Brightness the simulated phone screen adds to the ROI per unit of screen level
+const COUPLING = 0.3
+
+// Payloads flashed by the phone and, at the same time, by the gate
+const PHONE_PAYLOAD = new Uint8Array([0x3c, 0xa5, 0x0f, 0x96, 0x5a, 0xc3, 0x71, 0xe8])
+const GATE_PAYLOAD = new Uint8Array([0x69, 0x1e, 0xb4, 0x2d, 0xf0, 0x87, 0x4b, 0xd2])
+
+/**
+ * Brightness timeline of a flash sequence
+ * @param {Uint8Array} payload - Payload to flash
+ * @returns {Array<Object>} { time, step, level } per step, then the end of the flashing (step null)
+ */
+function timeline(payload) {
+  const painted = []
+  let time = 0
+  for (const step of [...buildFlashSequence(payload), null]) {
+    painted.push({ time, step, level: step ? stepLevel(step) : 0 })
+    time += step?.duration ?? 0
+  }
+  return painted
+}
+
+/**
+ * Film the gate's flashes while the phone's own screen flashes a response
+ * @param {SelfInterferenceCanceller} canceller - Canceller under test
+ * @param {number} gatePhase - How far the gate's flashing is ahead of the phone's (ms)
+ * @returns {Array<Object>} { time, gate, corrected } per frame, gate being the brightness without the phone
+ */
+function film(canceller, gatePhase) {
+  const phone = timeline(PHONE_PAYLOAD)
+  // The gate keeps repeating its challenge at the same bit rate (full duplex)
+  const gate = timeline(GATE_PAYLOAD)
+  const gatePeriod = gate[gate.length - 1].time
+  const end = phone[phone.length - 1].time
+
+  const frames = []
+  let next = 0
+  for (let t = 0; t < end; t += FRAME_INTERVAL) {
+    while (next < phone.length && phone[next].time <= t) {
+      canceller.emit(phone[next].step, phone[next].time)
+      next++
+    }
+    // The camera sees a step after the latency
+    const seen = phone.filter((entry) => entry.time + canceller.latency <= t).pop()
+    const gateTime = (t + gatePhase) % gatePeriod
+    const gateLevel = gate.filter((entry) => entry.time <= gateTime).pop().level
+    const gateBrightness = 40 + (160 * gateLevel) / 255
+    const brightness = gateBrightness + COUPLING * (seen?.level ?? 0) + (Math.random() - 0.5) * 6
+    frames.push({ time: t, gate: gateBrightness, corrected: canceller.cancel(brightness, t) })
+  }
+  return frames
+}
+
+describe('stepLevel', () => {
+  it('averages the colour channels and the lit share of a tile grid', () => {
+    expect(stepLevel({ color: '#FFFFFF' })).toBe(255)
+    expect(stepLevel({ color: '#FF0000' })).toBe(85)
+    expect(stepLevel({ tiles: [true, false, false, true], tileColor: '#FFFFFF' })).toBe(127.5)
+  })
+})
+
+describe('SelfInterferenceCanceller', () => {
+  // Phases are in bit durations; whole bits put both sides' transitions at the same moments
+  it.each([0, 0.25, 0.5, 1, 1.5, 2.75])('learns the coupling with the gate %f bits ahead', (phase) => {
+    const canceller = new SelfInterferenceCanceller()
+    const frames = film(canceller, phase * TIMING_CONFIG.BIT_DURATION)
+
+    expect(canceller.coupling).toBeCloseTo(COUPLING, 1)
+    const corrected = frames.filter((frame) => frame.corrected !== null)
+    expect(corrected.length).toBeGreaterThan(frames.length / 2)
+    // Later frames, once the coupling has settled, are within the noise of the gate's own signal
+    for (const frame of corrected.slice(-50)) {
+      expect(Math.abs(frame.corrected - frame.gate)).toBeLessThan(15)
+    }
+  })
+
+  it('holds back lit samples until the coupling is known', () => {
+    const canceller = new SelfInterferenceCanceller()
+    expect(canceller.cancel(100, 0)).toBe(100)
+
+    canceller.emit({ color: '#FFFFFF', duration: 300 }, 100)
+    expect(canceller.active).toBe(true)
+    expect(canceller.cancel(180, 200)).toBeNull()
+
+    canceller.emit(null, 400)
+    expect(canceller.active).toBe(false)
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Stripe Generator Utility
+ *
+ * Synthesises the frames a rolling-shutter camera would capture of an LED
+ * repeating a stripe packet (see rollingShutter.js), so the rolling-shutter
+ * receiver can be tried without LED hardware. Each row integrates the LED
+ * over its own exposure window, starting rowTime after the row above; the
+ * time between the last row and the next frame is not seen at all.
+ *
+ * createStripeSource returns a canvas that stands in for the camera's video
+ * element: pass it to the start() of a phone receiver built with
+ * rollingShutter: true (see opticalReceiver.js) in place of the video.
+ * renderStripeRows alone is enough to feed a StripeDecoder directly, which is
+ * what the tests do.
+ */
+
+import { TIMING_CONFIG } from './config'
+import { buildStripePacket } from './rollingShutter'
+
+// Defaults for the simulated camera and LED
+const STRIPE_DEFAULTS = {
+  width: 64,          // Frame width (pixels)
+  height: 720,        // Frame height (rows)
+  fps: 30,            // Frame rate
+  rowTime: 0.03,      // Readout time per row (ms), ~22ms for the whole frame
+  exposure: 0.1,      // Exposure time per row (ms)
+  onLevel: 200,       // Brightness of a row with the LED fully ON (0-255)
+  offLevel: 40,       // Brightness of a row with the LED OFF (0-255)
+  vignetting: 0.3,    // Brightness falloff towards the top and bottom edge (fraction)
+  noise: 3            // Uniform noise amplitude (0-255)
+}
+
+/**
+ * Fraction of a time window during which the LED is ON
+ * @param {Array<number>} halves - Packet half-bits (repeated back to back)
+ * @param {number} halfBitDuration - Duration of a half-bit (ms)
+ * @param {number} start - Window start (ms)
+ * @param {number} duration - Window length (ms)
+ * @returns {number} ON fraction (0-1)
+ */
+function onFraction(halves, halfBitDuration, start, duration) {
+  const steps = 8
+  let on = 0
+  for (let i = 0; i < steps; i++) {
+    const t = start + ((i + 0.5) * duration) / steps
+    on += halves[Math.floor(t / halfBitDuration) % halves.length]
+  }
+  return on / steps
+}
+
+/**
+ * Render the row brightness of one synthetic frame
+ * @param {Array<number>} halves - Packet half-bits, see buildStripePacket
+ * @param {number} frameStart - Time the first row starts exposing (ms)
+ * @param {Object} options - Camera and LED settings (see STRIPE_DEFAULTS), plus halfBitDuration
+ * @returns {Float32Array} Brightness per row (0-255)
+ */
+export function renderStripeRows(halves, frameStart, options = {}) {
+  const {
+    height, rowTime, exposure, onLevel, offLevel, vignetting, noise,
+    halfBitDuration = TIMING_CONFIG.RS_HALF_BIT_DURATION,
+  } = { ...STRIPE_DEFAULTS, ...options }
+
+  const rows = new Float32Array(height)
+  for (let y = 0; y < height; y++) {
+    const fraction = onFraction(halves, halfBitDuration, frameStart + y * rowTime, exposure)
+    const falloff = 1 - vignetting * ((2 * y) / height - 1) ** 2
+    const value = falloff * (offLevel + (onLevel - offLevel) * fraction) + (Math.random() - 0.5) * 2 * noise
+    rows[y] = Math.max(0, Math.min(255, value))
+  }
+  return rows
+}
+
+/**
+ * Create a fake camera that films an LED sending the payload as stripes
+ * @param {Uint8Array} payload - Payload bytes to send
+ * @param {Object} options - Camera and LED settings (see STRIPE_DEFAULTS), plus halfBitDuration and fec
+ * @returns {Object} { source, stop }: source is a canvas usable in place of the video element
+ */
+export function createStripeSource(payload, options = {}) {
+  const settings = { ...STRIPE_DEFAULTS, ...options }
+  const halves = buildStripePacket(payload, options)
+
+  // Mimic the parts of HTMLVideoElement the receivers use
+  const source = document.createElement('canvas')
+  source.width = settings.width
+  source.height = settings.height
+  source.videoWidth = settings.width
+  source.videoHeight = settings.height
+  source.HAVE_ENOUGH_DATA = 4
+  source.readyState = 4
+  const ctx = source.getContext('2d')
+
+  const frameInterval = 1000 / settings.fps
+  const startTime = performance.now()
+  let frameIndex = -1
+
+  const intervalId = setInterval(() => {
+    const index = Math.floor((performance.now() - startTime) / frameInterval)
+    if (index === frameIndex) return
+    frameIndex = index
+
+    const rows = renderStripeRows(halves, index * frameInterval, settings)
+    for (let y = 0; y < rows.length; y++) {
+      const level = Math.round(rows[y])
+      ctx.fillStyle = `rgb(${level}, ${level}, ${level})`
+      ctx.fillRect(0, y, settings.width, 1)
+    }
+  }, frameInterval / 4)
+
+  return {
+    source,
+    stop: () => clearInterval(intervalId)
+  }
+}
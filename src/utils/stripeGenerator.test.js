@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest'
+import { encodeFrame, FrameReader } from './framing'
+import { buildStripePacket, StripeDecoder } from './rollingShutter'
+import { renderStripeRows } from './stripeGenerator'
+
+// Frames fed to the decoder before giving up
+const MAX_FRAMES = 30
+
+/**
+ * Feed synthetic rolling-shutter frames to a stripe decoder until it has a frame
+ * @param {Uint8Array} payload - Payload bytes sent by the simulated LED
+ * @returns {Array<number>|null} Decoded frame bits, null if none within MAX_FRAMES
+ */
+function roundTrip(payload) {
+  const halves = buildStripePacket(payload)
+  const decoder = new StripeDecoder()
+  for (let frame = 0; frame < MAX_FRAMES; frame++) {
+    const bits = decoder.push(renderStripeRows(halves, (frame * 1000) / 30))
+    if (bits) return bits
+  }
+  return null
+}
+
+describe('renderStripeRows', () => {
+  it('round-trips a payload through StripeDecoder', () => {
+    for (let i = 0; i < 10; i++) {
+      const payload = crypto.getRandomValues(new Uint8Array(8))
+      const bits = roundTrip(payload)
+      expect(bits).toEqual(encodeFrame(payload))
+
+      const reader = new FrameReader()
+      bits.forEach((bit) => reader.push(bit))
+      expect(reader.error).toBeNull()
+      expect(Array.from(reader.payload)).toEqual(Array.from(payload))
+    }
+  })
+
+  it('shows no stripes while the LED is off', () => {
+    const rows = renderStripeRows([0], 0, { noise: 0, vignetting: 0 })
+    expect(new Set(rows).size).toBe(1)
+  })
+})
@@ -0,0 +1,192 @@
+/**
+ * Sync Word Utility
+ *
+ * Alternative preamble to the plain 1-second START pulse.
+ * The transmitter sends a Barker-13 sequence (+ = ON, - = OFF), each chip
+ * lasting SYNC_CHIP_DURATION. The receiver slides a correlator over the
+ * brightness stream and only starts reading bits at a strong correlation
+ * peak, so a steady light switching on (headlights, ceiling lights, people
+ * walking past) no longer looks like a START signal.
+ */
+
+import { TIMING_CONFIG } from './config'
+
+// Supported preambles
+export const SYNC_MODE = {
+  PULSE: 'pulse',
+  BARKER_13: 'barker13'
+}
+
+// Barker-13 sequence: autocorrelation sidelobes never exceed 1/13 of the peak
+export const BARKER_13 = [1, 1, 1, 1, 1, -1, -1, 1, 1, -1, 1, -1, 1]
+
+// Scores within this distance of the peak count as the same plateau
+const PLATEAU_TOLERANCE = 0.02
+
+/**
+ * Build the sync preamble as timed light levels
+ * @param {number} chipDuration - Duration of each chip (defaults to TIMING_CONFIG.SYNC_CHIP_DURATION)
+ * @returns {Array<Object>} Levels { on, duration }
+ */
+export function buildSyncPreamble(chipDuration = TIMING_CONFIG.SYNC_CHIP_DURATION) {
+  return BARKER_13.map((chip) => ({ on: chip === 1, duration: chipDuration }))
+}
+
+/**
+ * Sync Correlator Class
+ * Keeps a short brightness history and correlates it against Barker-13.
+ * A sync is reported once the correlation peak has passed, with the time at
+ * which the last chip ended (= start of the first bit).
+ */
+export class SyncCorrelator {
+  /**
+   * @param {Object} options - Correlator options
+   * @param {number} options.chipDuration - Chip duration (ms)
+   * @param {number} options.threshold - Minimum normalized correlation (0-1)
+   * @param {number} options.minContrast - Minimum ON/OFF brightness difference
+   */
+  constructor(options = {}) {
+    const {
+      chipDuration = TIMING_CONFIG.SYNC_CHIP_DURATION,
+      threshold = TIMING_CONFIG.SYNC_THRESHOLD,
+      minContrast = TIMING_CONFIG.BRIGHTNESS_CHANGE_THRESHOLD,
+    } = options
+
+    this.chipDuration = chipDuration
+    this.threshold = threshold
+    this.minContrast = minContrast
+    this.reset()
+  }
+
+  /**
+   * Clear history and any pending peak
+   */
+  reset() {
+    this.samples = [] // { time, brightness }, oldest first
+    this.peak = null
+    this.lastScore = 0
+  }
+
+  /**
+   * Correlate the history window ending at `now` against Barker-13
+   * @param {number} now - End of the correlation window (ms)
+   * @returns {Object|null} { score, onLevel, offLevel } or null if a chip has no samples
+   */
+  correlate(now) {
+    const windowStart = now - BARKER_13.length * this.chipDuration
+    const chipValues = []
+
+    for (let k = 0; k < BARKER_13.length; k++) {
+      const chipStart = windowStart + k * this.chipDuration
+      const chipEnd = chipStart + this.chipDuration
+      // Skip the outer quarter of each chip to avoid transition frames
+      const margin = this.chipDuration / 4
+      let sum = 0
+      let count = 0
+      for (const sample of this.samples) {
+        if (sample.time >= chipStart + margin && sample.time < chipEnd - margin) {
+          sum += sample.brightness
+          count++
+        }
+      }
+      if (count === 0) return null
+      chipValues.push(sum / count)
+    }
+
+    const max = Math.max(...chipValues)
+    const min = Math.min(...chipValues)
+    if (max - min < this.minContrast) {
+      return { score: 0, onLevel: max, offLevel: min }
+    }
+
+    // Map chip values to [-1, 1] around the midpoint and correlate
+    const mid = (max + min) / 2
+    const half = (max - min) / 2
+    let score = 0
+    let onSum = 0
+    let offSum = 0
+    for (let k = 0; k < BARKER_13.length; k++) {
+      score += BARKER_13[k] * ((chipValues[k] - mid) / half)
+      if (BARKER_13[k] === 1) onSum += chipValues[k]
+      else offSum += chipValues[k]
+    }
+
+    const onCount = BARKER_13.filter((chip) => chip === 1).length
+    return {
+      score: score / BARKER_13.length,
+      onLevel: onSum / onCount,
+      offLevel: offSum / (BARKER_13.length - onCount)
+    }
+  }
+
+  /**
+   * Feed one brightness sample
+   * @param {number} brightness - Sample brightness (0-255)
+   * @param {number} now - Sample time (ms)
+   * @returns {Object|null} { time, score, onLevel, offLevel, edges } once a sync peak is confirmed
+   */
+  push(brightness, now) {
+    this.samples.push({ time: now, brightness })
+    const keepFrom = now - (BARKER_13.length + 1) * this.chipDuration
+    while (this.samples.length > 0 && this.samples[0].time < keepFrom) {
+      this.samples.shift()
+    }
+
+    const result = this.correlate(now)
+    const score = result ? result.score : 0
+
+    // The score stays near its maximum while the window slides within the
+    // chip margins: track that plateau and report its centre
+    if (score >= this.threshold) {
+      if (!this.peak || score > this.peak.score + PLATEAU_TOLERANCE) {
+        this.peak = { firstTime: now, lastTime: now, ...result }
+      } else if (score >= this.peak.score - PLATEAU_TOLERANCE) {
+        this.peak.lastTime = now
+      }
+    }
+
+    // Confirm the peak once the score has dropped or half a chip has passed
+    if (this.peak && (score < this.peak.score - PLATEAU_TOLERANCE || now - this.peak.lastTime >= this.chipDuration / 2)) {
+      const { firstTime, lastTime, ...peak } = this.peak
+      const time = (firstTime + lastTime) / 2
+      const edges = this.findChipEdges(time, peak)
+      this.peak = null
+      this.samples = []
+      this.lastScore = score
+      return { time, ...peak, edges }
+    }
+
+    this.lastScore = score
+    return null
+  }
+
+  /**
+   * Locate the chip transitions of a detected sync word in the history
+   * Gives the bit clock several accurate anchors instead of just the peak time
+   * @param {number} endTime - Estimated end of the sync word (ms)
+   * @param {Object} levels - { onLevel, offLevel } of the sync word
+   * @returns {Array<Object>} Edges { time, offset } with offset = nominal time since the sync word started (ms)
+   */
+  findChipEdges(endTime, { onLevel, offLevel }) {
+    const syncStart = endTime - BARKER_13.length * this.chipDuration
+    const mid = (onLevel + offLevel) / 2
+    const edges = []
+
+    for (let i = 1; i < this.samples.length; i++) {
+      const prev = this.samples[i - 1]
+      const sample = this.samples[i]
+      if ((prev.brightness >= mid) === (sample.brightness >= mid)) continue
+
+      // Match the transition to the nearest chip boundary where the level changes
+      const time = (prev.time + sample.time) / 2
+      const k = Math.round((time - syncStart) / this.chipDuration)
+      const changes = k === 0
+        ? BARKER_13[0] === 1
+        : k > 0 && k < BARKER_13.length && BARKER_13[k] !== BARKER_13[k - 1]
+      if (changes && Math.abs(time - syncStart - k * this.chipDuration) < this.chipDuration / 2) {
+        edges.push({ time, offset: k * this.chipDuration })
+      }
+    }
+    return edges
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { TIMING_CONFIG } from './config'
+import { BARKER_13, buildSyncPreamble, SyncCorrelator } from './syncWord'
+
+// Camera frame interval of the simulated receiver (ms)
+const FRAME_INTERVAL = 1000 / 30
+
+// Time the simulated emitter starts its preamble (ms)
+const SYNC_START = 2000
+
+/**
+ * Film a light and feed every frame to a sync correlator
+ * @param {Function} levelAt - Returns whether the light is ON at a time (ms)
+ * @param {number} duration - Length of the recording (ms)
+ * @returns {Array<Object>} Syncs reported by the correlator
+ */
+function correlate(levelAt, duration) {
+  const correlator = new SyncCorrelator()
+  const syncs = []
+  for (let t = Math.random() * FRAME_INTERVAL; t < duration; t += FRAME_INTERVAL) {
+    const sync = correlator.push((levelAt(t) ? 200 : 40) + (Math.random() - 0.5) * 6, t)
+    if (sync) syncs.push(sync)
+  }
+  return syncs
+}
+
+describe('BARKER_13', () => {
+  it('has no autocorrelation sidelobe above 1', () => {
+    for (let shift = 1; shift < BARKER_13.length; shift++) {
+      let sum = 0
+      for (let k = 0; k + shift < BARKER_13.length; k++) {
+        sum += BARKER_13[k] * BARKER_13[k + shift]
+      }
+      expect(Math.abs(sum)).toBeLessThanOrEqual(1)
+    }
+  })
+})
+
+describe('SyncCorrelator', () => {
+  it('finds the sync word and the time it ends', () => {
+    const chips = buildSyncPreamble()
+    const syncEnd = SYNC_START + chips.length * TIMING_CONFIG.SYNC_CHIP_DURATION
+    const levelAt = (t) => {
+      const k = Math.floor((t - SYNC_START) / TIMING_CONFIG.SYNC_CHIP_DURATION)
+      return k >= 0 && k < chips.length && chips[k].on
+    }
+
+    for (let i = 0; i < 10; i++) {
+      const syncs = correlate(levelAt, syncEnd + 1000)
+      expect(syncs).toHaveLength(1)
+      expect(Math.abs(syncs[0].time - syncEnd)).toBeLessThan(TIMING_CONFIG.SYNC_CHIP_DURATION / 2)
+
+      // Chip edges are placed on their boundaries to within a frame
+      expect(syncs[0].edges.length).toBeGreaterThan(0)
+      for (const edge of syncs[0].edges) {
+        expect(Math.abs(edge.time - SYNC_START - edge.offset)).toBeLessThan(FRAME_INTERVAL)
+      }
+    }
+  })
+
+  it('ignores a light that is simply switched on', () => {
+    expect(correlate((t) => t >= SYNC_START, SYNC_START + 4000)).toHaveLength(0)
+  })
+})
@@ -0,0 +1,396 @@
+/**
+ * Tile Grid Utility
+ *
+ * Uses the screen as GRID_COLS × GRID_ROWS independently blinking tiles
+ * instead of a single pixel, so every symbol carries one bit per tile.
+ * The four corner tiles are fiducials: during data the top-left one is ON
+ * and the others are OFF, which tells the receiver how the screen is
+ * rotated in the camera frame.
+ *
+ * The frame is preceded by two training symbols:
+ * 1. all tiles ON: where the grid is in the camera frame, and the ON level of every tile
+ * 2. fiducial only: which corner is top-left, and the OFF level of every tile
+ *
+ * The grid is located as the bounding box of the pixels that changed between
+ * the two, so the screen should be roughly upright (any multiple of 90°) and
+ * facing the camera. Symbols last BIT_DURATION.
+ */
+
+import { BitClock } from './bitClock'
+import { calculateBrightness } from './brightness'
+import { TIMING_CONFIG } from './config'
+import { CHANNEL } from './flashSequence'
+import { fitCanvas } from './frameSampler'
+
+// Tile colors
+const TILE_ON = '#FFFFFF'
+const TILE_OFF = '#000000'
+
+// A symbol boundary is assumed when at least this fraction of the data tiles flip
+const EDGE_FRACTION = 0.25
+
+// Only the middle of each tile is sampled (fraction of the tile size), to avoid bleed from neighbours
+const TILE_SAMPLE_FRACTION = 0.5
+
+/**
+ * Indices (row-major) of the tiles that carry data: every tile except the corners
+ * @param {number} cols - Grid columns
+ * @param {number} rows - Grid rows
+ * @returns {Array<number>} Tile indices
+ */
+export function dataTileIndices(cols, rows) {
+  const corners = [0, cols - 1, (rows - 1) * cols, rows * cols - 1]
+  const indices = []
+  for (let i = 0; i < cols * rows; i++) {
+    if (!corners.includes(i)) indices.push(i)
+  }
+  return indices
+}
+
+/**
+ * Tile pattern with only the orientation fiducial (top-left corner) ON
+ * @param {number} cols - Grid columns
+ * @param {number} rows - Grid rows
+ * @returns {Array<boolean>} Tile states (row-major)
+ */
+function fiducialPattern(cols, rows) {
+  const tiles = new Array(cols * rows).fill(false)
+  tiles[0] = true
+  return tiles
+}
+
+/**
+ * Build the training and data symbols for a frame
+ * @param {Array<number>} bits - Frame bits
+ * @param {number} cols - Grid columns (defaults to TIMING_CONFIG.GRID_COLS)
+ * @param {number} rows - Grid rows (defaults to TIMING_CONFIG.GRID_ROWS)
+ * @returns {Object} { training, symbols }: training patterns and data symbols { tiles, bitIndex, bits }
+ */
+export function encodeTileSymbols(bits, cols = TIMING_CONFIG.GRID_COLS, rows = TIMING_CONFIG.GRID_ROWS) {
+  const dataTiles = dataTileIndices(cols, rows)
+  const training = [new Array(cols * rows).fill(true), fiducialPattern(cols, rows)]
+
+  const symbols = []
+  for (let i = 0; i < bits.length; i += dataTiles.length) {
+    const group = bits.slice(i, i + dataTiles.length)
+    const tiles = fiducialPattern(cols, rows)
+    group.forEach((bit, k) => {
+      tiles[dataTiles[k]] = bit === 1
+    })
+    symbols.push({ tiles, bitIndex: i, bits: group })
+  }
+  return { training, symbols }
+}
+
+/**
+ * Show a sequence step on a flash overlay: one color, or a grid of tiles
+ * @param {HTMLElement} overlay - Full-screen overlay element
+ * @param {Object} step - Step from buildFlashSequence ({ color } or { tiles, cols, rows, tileColor })
+ */
+export function paintStep(overlay, step) {
+  if (!step.tiles) {
+    if (overlay.childElementCount > 0) {
+      overlay.replaceChildren()
+    }
+    overlay.style.display = 'block'
+    overlay.style.backgroundColor = step.color
+    return
+  }
+
+  // (Re)build the tile elements when the grid size changes
+  if (overlay.childElementCount !== step.tiles.length) {
+    const tiles = step.tiles.map(() => document.createElement('div'))
+    overlay.replaceChildren(...tiles)
+    overlay.style.gridTemplateColumns = `repeat(${step.cols}, 1fr)`
+    overlay.style.gridTemplateRows = `repeat(${step.rows}, 1fr)`
+  }
+  overlay.style.display = 'grid'
+  overlay.style.backgroundColor = TILE_OFF
+  step.tiles.forEach((on, i) => {
+    overlay.children[i].style.backgroundColor = on ? (step.tileColor ?? TILE_ON) : TILE_OFF
+  })
+}
+
+/**
+ * Draw the current video frame at a reduced size and convert it to grey
+ * @param {HTMLVideoElement} video - Video element to sample from
+ * @param {HTMLCanvasElement} canvas - Canvas element for drawing frames
+ * @param {number} width - Frame width in pixels (defaults to TIMING_CONFIG.GRID_SAMPLE_WIDTH)
+ * @param {string} channel - Colour channel to measure, one of CHANNEL (defaults to all three)
+ * @returns {Object|null} { data, width, height } with data a Float32Array (0-255), null if no frame is available
+ */
+export function captureGrayFrame(video, canvas, width = TIMING_CONFIG.GRID_SAMPLE_WIDTH, channel = CHANNEL.WHITE) {
+  if (!video || !canvas || video.readyState !== video.HAVE_ENOUGH_DATA) {
+    return null
+  }
+
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return null
+
+  const height = Math.max(1, Math.round((width * video.videoHeight) / video.videoWidth))
+  fitCanvas(canvas, width, height)
+  ctx.drawImage(video, 0, 0, width, height)
+  const { data } = ctx.getImageData(0, 0, width, height)
+
+  const gray = new Float32Array(width * height)
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = calculateBrightness(data[i * 4], data[i * 4 + 1], data[i * 4 + 2], channel)
+  }
+  return { data: gray, width, height }
+}
+
+/**
+ * Mean of a rectangle of a grey frame
+ * @param {Object} frame - { data, width, height }
+ * @param {number} x0 - Left edge (pixels)
+ * @param {number} y0 - Top edge (pixels)
+ * @param {number} x1 - Right edge (pixels, exclusive)
+ * @param {number} y1 - Bottom edge (pixels, exclusive)
+ * @returns {number} Mean brightness (0-255)
+ */
+function rectMean(frame, x0, y0, x1, y1) {
+  const left = Math.max(0, Math.floor(x0))
+  const top = Math.max(0, Math.floor(y0))
+  const right = Math.min(frame.width, Math.max(left + 1, Math.round(x1)))
+  const bottom = Math.min(frame.height, Math.max(top + 1, Math.round(y1)))
+  let sum = 0
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      sum += frame.data[y * frame.width + x]
+    }
+  }
+  return sum / Math.max(1, (right - left) * (bottom - top))
+}
+
+/**
+ * Grid Demodulator Class
+ * Locates the tile grid from the training symbols, then samples every data
+ * tile of each symbol and slices it at its own ON/OFF midpoint
+ */
+export class GridDemodulator {
+  /**
+   * @param {Object} options - Demodulator options
+   * @param {number} options.cols - Grid columns (defaults to TIMING_CONFIG.GRID_COLS)
+   * @param {number} options.rows - Grid rows (defaults to TIMING_CONFIG.GRID_ROWS)
+   * @param {number} options.minContrast - Smallest ON/OFF difference of a tile (defaults to TIMING_CONFIG.MIN_LEVEL_CONTRAST)
+   * @param {number} options.symbolDuration - Duration of one symbol (ms, defaults to TIMING_CONFIG.BIT_DURATION)
+   */
+  constructor(options = {}) {
+    const {
+      cols = TIMING_CONFIG.GRID_COLS,
+      rows = TIMING_CONFIG.GRID_ROWS,
+      minContrast = TIMING_CONFIG.MIN_LEVEL_CONTRAST,
+      symbolDuration = TIMING_CONFIG.BIT_DURATION,
+    } = options
+
+    this.cols = cols
+    this.rows = rows
+    this.minContrast = minContrast
+    this.dataTiles = dataTileIndices(cols, rows)
+    this.clock = new BitClock({ unitDuration: symbolDuration })
+    this.start(0, 0)
+  }
+
+  /**
+   * Anchor the symbol clock on the preamble; the training symbols follow it
+   * @param {number} referenceTime - Time of the preamble's rising edge (ms)
+   * @param {number} preambleDuration - Nominal preamble duration (ms)
+   * @param {Array<Object>} anchors - Observed preamble edges, see BitClock.start
+   */
+  start(referenceTime, preambleDuration, anchors = []) {
+    this.clock.start(referenceTime, preambleDuration, anchors)
+    this.symbol = 0
+    this.samples = [] // { time, frame } (training) or { time, values } (data) of the current symbol
+    this.training = [] // mean frame of each training symbol
+    this.box = null // grid bounding box in camera pixels { x, y, width, height }
+    this.rotation = 0 // quarter turns of the screen as seen by the camera (clockwise)
+    this.thresholds = null // per data tile
+    this.prevCode = null
+    this.prevSampleTime = null
+    this.error = null
+  }
+
+  /**
+   * Whether the grid has been located and trained
+   * @returns {boolean}
+   */
+  get trained() {
+    return this.thresholds !== null
+  }
+
+  /**
+   * Feed one grey camera frame
+   * @param {Object} frame - { data, width, height } from captureGrayFrame
+   * @param {number} now - Sample time (ms)
+   * @returns {Array<number>} Data bits completed by this frame (may be empty)
+   */
+  push(frame, now) {
+    let values = null
+    if (this.trained) {
+      values = this.sampleTiles(frame)
+
+      // Re-align the symbol clock when a good share of the tiles flip together
+      const code = values.map((value, k) => (value > this.thresholds[k] ? 1 : 0))
+      if (this.prevCode !== null) {
+        const flips = code.filter((bit, k) => bit !== this.prevCode[k]).length
+        if (flips >= EDGE_FRACTION * code.length) {
+          this.clock.observeEdge((this.prevSampleTime + now) / 2)
+        }
+      }
+      this.prevCode = code
+    }
+    this.prevSampleTime = now
+
+    const symbol = this.clock.unitAt(now)
+    const bits = []
+    while (this.symbol < symbol && !this.error) {
+      bits.push(...this.finishSymbol(frame, values))
+    }
+    if (symbol === this.symbol && !this.error) {
+      this.samples.push(this.trained ? { time: now, values } : { time: now, frame })
+    }
+    return bits
+  }
+
+  /**
+   * Decide the current symbol from its samples and move to the next one
+   * @param {Object} frame - Current frame, used if no sample landed in the symbol
+   * @param {Array<number>|null} values - Tile values of the current frame (once trained)
+   * @returns {Array<number>} Data bits of the symbol (empty for training symbols)
+   */
+  finishSymbol(frame, values) {
+    const chosen = this.middleSamples()
+    const index = this.symbol
+    this.symbol++
+    this.samples = []
+
+    if (index < 2) {
+      const frames = chosen.length > 0 ? chosen.map((sample) => sample.frame) : [frame]
+      const mean = new Float32Array(frames[0].data.length)
+      for (const f of frames) {
+        for (let i = 0; i < mean.length; i++) mean[i] += f.data[i] / frames.length
+      }
+      this.training.push({ data: mean, width: frames[0].width, height: frames[0].height })
+      if (this.training.length === 2) {
+        this.train()
+      }
+      return []
+    }
+
+    const tileValues = chosen.length > 0 ? chosen.map((sample) => sample.values) : [values ?? this.sampleTiles(frame)]
+    return this.thresholds.map((threshold, k) => {
+      const mean = tileValues.reduce((sum, v) => sum + v[k], 0) / tileValues.length
+      return mean > threshold ? 1 : 0
+    })
+  }
+
+  /**
+   * Samples in the middle half of the current symbol (or the one closest to its middle)
+   * @returns {Array<Object>} Samples
+   */
+  middleSamples() {
+    if (this.samples.length === 0) return []
+
+    const start = this.clock.unitStart(this.symbol)
+    const end = this.clock.unitStart(this.symbol + 1)
+    const quarter = (end - start) / 4
+    const middle = this.samples.filter((sample) => sample.time >= start + quarter && sample.time <= end - quarter)
+    if (middle.length > 0) return middle
+
+    return [this.samples.reduce((best, sample) =>
+      Math.abs(sample.time - (start + end) / 2) < Math.abs(best.time - (start + end) / 2) ? sample : best)]
+  }
+
+  /**
+   * Locate the grid, find its orientation and learn every tile's levels
+   */
+  train() {
+    const [allOn, fiducial] = this.training
+    const { width, height } = allOn
+
+    // Grid: bounding box of the pixels that went dark after the all-ON symbol
+    let maxDrop = 0
+    const drop = new Float32Array(allOn.data.length)
+    for (let i = 0; i < drop.length; i++) {
+      drop[i] = allOn.data[i] - fiducial.data[i]
+      maxDrop = Math.max(maxDrop, drop[i])
+    }
+    if (maxDrop < this.minContrast) {
+      this.error = 'Tile grid not found: no tiles switched off after the training pattern'
+      return
+    }
+
+    let minX = width
+    let maxX = -1
+    let minY = height
+    let maxY = -1
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (drop[y * width + x] >= maxDrop / 2) {
+          minX = Math.min(minX, x)
+          maxX = Math.max(maxX, x)
+          minY = Math.min(minY, y)
+          maxY = Math.max(maxY, y)
+        }
+      }
+    }
+    this.box = { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+
+    // Orientation: the top-left fiducial stays lit, so its corner drops least
+    const cell = 1 / (2 * Math.max(this.cols, this.rows))
+    const corners = [[0, 0], [1 - cell, 0], [1 - cell, 1 - cell], [0, 1 - cell]] // clockwise from camera top-left
+    const cornerDrops = corners.map(([u, v]) => this.boxMean(allOn, u, v, cell, cell) - this.boxMean(fiducial, u, v, cell, cell))
+    this.rotation = cornerDrops.indexOf(Math.min(...cornerDrops))
+
+    // Per-tile ON/OFF midpoints
+    const on = this.sampleTiles(allOn)
+    const off = this.sampleTiles(fiducial)
+    const weakest = Math.min(...on.map((level, k) => level - off[k]))
+    if (weakest < this.minContrast / 2) {
+      this.error = 'Tile grid not resolved: move closer so every tile is clearly visible'
+      return
+    }
+    this.thresholds = on.map((level, k) => (level + off[k]) / 2)
+    console.log(`[GridDemodulator] Grid located at ${JSON.stringify(this.box)}, rotated ${this.rotation * 90}°, weakest tile contrast ${weakest.toFixed(1)}`)
+  }
+
+  /**
+   * Mean of a region given in fractions of the grid box
+   * @param {Object} frame - { data, width, height }
+   * @param {number} u - Left edge (fraction of the box width)
+   * @param {number} v - Top edge (fraction of the box height)
+   * @param {number} du - Width (fraction of the box width)
+   * @param {number} dv - Height (fraction of the box height)
+   * @returns {number} Mean brightness (0-255)
+   */
+  boxMean(frame, u, v, du, dv) {
+    const { x, y, width, height } = this.box
+    return rectMean(frame, x + u * width, y + v * height, x + (u + du) * width, y + (v + dv) * height)
+  }
+
+  /**
+   * Mean brightness of the middle of every data tile
+   * @param {Object} frame - { data, width, height }
+   * @returns {Array<number>} Values in data tile order
+   */
+  sampleTiles(frame) {
+    // Tiles as seen by the camera: a quarter turn swaps columns and rows
+    const turned = this.rotation % 2 === 1
+    const du = 1 / (turned ? this.rows : this.cols)
+    const dv = 1 / (turned ? this.cols : this.rows)
+    const margin = (1 - TILE_SAMPLE_FRACTION) / 2
+
+    return this.dataTiles.map((tile) => {
+      const col = tile % this.cols
+      const row = Math.floor(tile / this.cols)
+      // Tile position in the camera box, per number of clockwise quarter turns
+      const [cu, cv] = [
+        [col, row],
+        [this.rows - 1 - row, col],
+        [this.cols - 1 - col, this.rows - 1 - row],
+        [row, this.cols - 1 - col]
+      ][this.rotation]
+      return this.boxMean(frame, (cu + margin) * du, (cv + margin) * dv, TILE_SAMPLE_FRACTION * du, TILE_SAMPLE_FRACTION * dv)
+    })
+  }
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import { dataTileIndices, encodeTileSymbols, GridDemodulator } from './tileGrid'
+
+// Camera frame interval of the simulated receiver (ms)
+const FRAME_INTERVAL = 1000 / 30
+
+// Symbol duration of the simulated transmitter (ms)
+const SYMBOL = 300
+
+// Simulated grid: wider than tall, so a quarter turn is visible
+const COLS = 4
+const ROWS = 3
+
+// Tile size on the simulated camera image (pixels)
+const TILE = 10
+
+// Simulated camera frame size (pixels)
+const FRAME_WIDTH = 80
+const FRAME_HEIGHT = 60
+
+/**
+ * Render the camera's view of a tile pattern: the screen turned clockwise and centred in the frame
+ * @param {Array<boolean>|null} tiles - Tile states (row-major), null for a dark screen
+ * @param {number} rotation - Clockwise quarter turns of the screen
+ * @returns {Object} { data, width, height }
+ */
+function renderFrame(tiles, rotation) {
+  const data = new Float32Array(FRAME_WIDTH * FRAME_HEIGHT)
+  const turned = rotation % 2 === 1
+  const width = (turned ? ROWS : COLS) * TILE
+  const height = (turned ? COLS : ROWS) * TILE
+  const left = (FRAME_WIDTH - width) / 2
+  const top = (FRAME_HEIGHT - height) / 2
+
+  for (let y = 0; y < FRAME_HEIGHT; y++) {
+    for (let x = 0; x < FRAME_WIDTH; x++) {
+      let level = 30
+      let [sx, sy] = [x - left, y - top]
+      if (tiles && sx >= 0 && sx < width && sy >= 0 && sy < height) {
+        // Undo the turns to find the screen pixel seen here
+        let w = width
+        let h = height
+        for (let r = 0; r < rotation; r++) {
+          const cx = sx
+          sx = sy
+          sy = w - 1 - cx
+          const turnedWidth = h
+          h = w
+          w = turnedWidth
+        }
+        level = tiles[Math.floor(sy / TILE) * COLS + Math.floor(sx / TILE)] ? 200 : 40
+      }
+      data[y * FRAME_WIDTH + x] = level + (Math.random() - 0.5) * 6
+    }
+  }
+  return { data, width: FRAME_WIDTH, height: FRAME_HEIGHT }
+}
+
+/**
+ * Film a tile grid transmission (training, then data symbols) and demodulate it
+ * @param {Array<number>} bits - Frame bits
+ * @param {number} rotation - Clockwise quarter turns of the screen
+ * @returns {Object} { bits, demodulator }
+ */
+function demodulate(bits, rotation) {
+  const { training, symbols } = encodeTileSymbols(bits, COLS, ROWS)
+  const patterns = [...training, ...symbols.map((symbol) => symbol.tiles)]
+
+  const demodulator = new GridDemodulator({ cols: COLS, rows: ROWS, symbolDuration: SYMBOL })
+  demodulator.start(0, 0)
+  const decoded = []
+  const end = (patterns.length + 1) * SYMBOL
+  for (let t = Math.random() * FRAME_INTERVAL; t < end && !demodulator.error; t += FRAME_INTERVAL) {
+    decoded.push(...demodulator.push(renderFrame(patterns[Math.floor(t / SYMBOL)] ?? null, rotation), t))
+  }
+  return { bits: decoded, demodulator }
+}
+
+describe('encodeTileSymbols', () => {
+  it('keeps the corners for the orientation fiducial', () => {
+    expect(dataTileIndices(COLS, ROWS)).toEqual([1, 2, 4, 5, 6, 7, 9, 10])
+
+    const { training, symbols } = encodeTileSymbols(new Array(10).fill(1), COLS, ROWS)
+    expect(training[0].every((on) => on)).toBe(true)
+    expect(training[1].filter((on) => on)).toHaveLength(1)
+    expect(symbols).toHaveLength(2)
+    expect(symbols[1].tiles.filter((on) => on)).toHaveLength(3)
+    expect([symbols[1].tiles[0], symbols[1].tiles[3], symbols[1].tiles[8], symbols[1].tiles[11]]).toEqual([true, false, false, false])
+  })
+})
+
+describe('GridDemodulator', () => {
+  it.each([0, 1, 2, 3])('decodes a screen turned %i quarter turns', (rotation) => {
+    const bits = Array.from({ length: 32 }, () => (Math.random() < 0.5 ? 1 : 0))
+    const result = demodulate(bits, rotation)
+    expect(result.demodulator.error).toBeNull()
+    expect(result.demodulator.rotation).toBe(rotation)
+    expect(result.bits.slice(0, bits.length)).toEqual(bits)
+  })
+
+  it('reports a missing grid when no tiles switch off', () => {
+    const demodulator = new GridDemodulator({ cols: COLS, rows: ROWS, symbolDuration: SYMBOL })
+    demodulator.start(0, 0)
+    for (let t = 0; t < 3 * SYMBOL && !demodulator.error; t += FRAME_INTERVAL) {
+      demodulator.push(renderFrame(null, 0), t)
+    }
+    expect(demodulator.error).toMatch(/Tile grid not found/)
+  })
+})
@@ -0,0 +1,112 @@
+/**
+ * Torch Flasher Utility
+ *
+ * Sends the response with the phone's rear LED torch instead of the screen.
+ * The torch is far brighter than the screen and sits next to the camera that
+ * is already pointed at the gate, so the user does not have to turn the
+ * phone around. It is driven through the `torch` constraint of the camera's
+ * video track with the same START/bits/END sequence as the screen (see
+ * flashSequence.js).
+ *
+ * The torch is either on or off, so it only carries on-off keying: other
+ * modulations and colour channels fall back to white OOK. applyConstraints
+ * is asynchronous, so steps are scheduled against absolute times and the
+ * torch is only switched when its state changes.
+ */
+
+import { buildFlashSequence, CHANNEL, MODULATION } from './flashSequence'
+
+/**
+ * Check whether a camera track can drive a torch
+ * @param {MediaStreamTrack} track - Camera video track
+ * @returns {boolean} true if the track reports torch capability
+ */
+export function hasTorch(track) {
+  if (!track || typeof track.getCapabilities !== 'function') return false
+  return track.getCapabilities().torch === true
+}
+
+/**
+ * Flash the torch to send a response
+ * @param {MediaStreamTrack} track - Camera video track, see hasTorch
+ * @param {Uint8Array} responseValue - Response bytes to send
+ * @param {Function} onComplete - Callback when flashing is complete
+ * @param {Function} onProgress - Optional callback for progress updates
+ * @param {Object} options - Optional transmission options (fec, lineCoding, bitDuration), see buildFlashSequence
+ * @returns {Function} Function to cancel the flashing
+ */
+export function flashTorch(track, responseValue, onComplete, onProgress, options = {}) {
+  if (options.modulation && options.modulation !== MODULATION.OOK) {
+    console.log(`[TorchFlasher] The torch cannot send ${options.modulation}, using OOK`)
+  }
+  const sequence = buildFlashSequence(responseValue, { ...options, modulation: MODULATION.OOK, channel: CHANNEL.WHITE })
+
+  let currentStep = 0
+  let timeoutId = null
+  let isCancelled = false
+  let torchOn = null
+  let pending = Promise.resolve()
+
+  /**
+   * Switch the torch, keeping the constraint changes in order
+   * @param {boolean} on - Torch state
+   */
+  function setTorch(on) {
+    if (on === torchOn) return
+    torchOn = on
+    pending = pending
+      .then(() => track.applyConstraints({ advanced: [{ torch: on }] }))
+      .catch((err) => console.error('[TorchFlasher] Failed to switch torch:', err))
+  }
+
+  let stepStartTime = performance.now()
+
+  /**
+   * Execute next step in flashing sequence
+   */
+  function executeStep() {
+    if (isCancelled) return
+
+    const step = sequence[currentStep]
+    if (!step) {
+      // All steps complete
+      cleanup()
+      pending.then(() => {
+        if (onComplete) onComplete()
+      })
+      return
+    }
+
+    setTorch(step.color !== '#000000')
+    if (onProgress && step.description) {
+      onProgress(step.description)
+    }
+
+    // Schedule against the sequence start so setTimeout lateness does not accumulate
+    stepStartTime += step.duration
+    timeoutId = setTimeout(() => {
+      currentStep++
+      executeStep()
+    }, Math.max(0, stepStartTime - performance.now()))
+  }
+
+  /**
+   * Cleanup function
+   */
+  function cleanup() {
+    if (timeoutId) {
+      clearTimeout(timeoutId)
+      timeoutId = null
+    }
+    setTorch(false)
+  }
+
+  // Start flashing sequence
+  executeStep()
+
+  // Return cancel function
+  return () => {
+    isCancelled = true
+    cleanup()
+  }
+}
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { buildFlashSequence, FLASH_COLORS } from './flashSequence'
+import { flashTorch, hasTorch } from './torchFlasher'
+
+// Time the mock track takes to switch the torch (ms)
+const LATENCY = 20
+
+/**
+ * Create a stand-in for a camera track with a torch
+ * Records every torch change, so a transmission can be checked without hardware
+ * @param {Object} options - Mock options
+ * @param {number} options.latency - Time applyConstraints takes to switch the torch (ms)
+ * @returns {Object} Track with getCapabilities, getSettings, applyConstraints and a log of { on, time }
+ */
+function createMockTorchTrack(options = {}) {
+  const { latency = LATENCY } = options
+  let torch = false
+
+  return {
+    kind: 'video',
+    log: [],
+    getCapabilities: () => ({ torch: true }),
+    getSettings() {
+      return { torch }
+    },
+    applyConstraints(constraints = {}) {
+      const requested = (constraints.advanced ?? [constraints]).find((set) => 'torch' in set)
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          if (requested && requested.torch !== torch) {
+            torch = requested.torch
+            this.log.push({ on: torch, time: performance.now() })
+          }
+          resolve()
+        }, latency)
+      })
+    },
+    stop() {}
+  }
+}
+
+/**
+ * Expected torch switches for a sequence: one per change of state, then off
+ * @param {Array<Object>} sequence - Steps from buildFlashSequence
+ * @returns {Array<Object>} { on, time } with time relative to the start (ms)
+ */
+function expectedSwitches(sequence) {
+  const switches = []
+  let on = false
+  let time = 0
+  for (const step of sequence) {
+    const stepOn = step.color !== FLASH_COLORS.OFF
+    if (stepOn !== on) switches.push({ on: stepOn, time })
+    on = stepOn
+    time += step.duration
+  }
+  if (on) switches.push({ on: false, time })
+  return switches
+}
+
+describe('flashTorch', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'performance'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('reports torch capability of the mock track', () => {
+    expect(hasTorch(createMockTorchTrack())).toBe(true)
+    expect(hasTorch({ getCapabilities: () => ({}) })).toBe(false)
+    expect(hasTorch(null)).toBe(false)
+  })
+
+  it('switches the mock torch as buildFlashSequence describes', async () => {
+    const payload = new Uint8Array([0xa5, 0x3c, 0x00, 0xff])
+    const track = createMockTorchTrack({ latency: LATENCY })
+    const onComplete = vi.fn()
+    const start = performance.now()
+
+    flashTorch(track, payload, onComplete)
+    await vi.runAllTimersAsync()
+
+    expect(onComplete).toHaveBeenCalledOnce()
+    const expected = expectedSwitches(buildFlashSequence(payload))
+    expect(track.log.map((entry) => entry.on)).toEqual(expected.map((entry) => entry.on))
+    track.log.forEach((entry, i) => {
+      // Each switch lands after the track latency, never later than one more
+      const delay = entry.time - start - expected[i].time
+      expect(delay).toBeGreaterThanOrEqual(LATENCY)
+      expect(delay).toBeLessThanOrEqual(2 * LATENCY)
+    })
+  })
+
+  it('turns the torch off when cancelled', async () => {
+    const track = createMockTorchTrack({ latency: LATENCY })
+    const cancel = flashTorch(track, new Uint8Array([0xff]), vi.fn())
+    await vi.advanceTimersByTimeAsync(500)
+    cancel()
+    await vi.runAllTimersAsync()
+
+    expect(track.log.length).toBeGreaterThan(0)
+    expect(track.log[track.log.length - 1].on).toBe(false)
+  })
+})